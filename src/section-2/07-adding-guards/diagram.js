@@ -0,0 +1,568 @@
+const { getStateNodes } = require('./statechart')
+
+const indent = (lines, depth = 1) =>
+  lines.map(line => `${'  '.repeat(depth)}${line}`)
+
+// `EVENT [guard] / action, action`, the way transitions are labelled in UML
+const getTransitionLabel = ({ actions, cond, event }) =>
+  [
+    event === '' ? 'always' : event,
+    cond && `[${cond}]`,
+    actions.length > 0 && `/ ${actions.join(', ')}`,
+  ]
+    .filter(Boolean)
+    .join(' ')
+
+const getHistoryLabel = node => (node.config.history === 'deep' ? 'H*' : 'H')
+
+// A transition without a target stays in its source. Diagrams of a machine
+// with a target that does not exist would be wrong, so they are not drawn
+const getEdges = nodes =>
+  [].concat(
+    ...nodes.map(node =>
+      [].concat(
+        ...node.transitions.map(transition => {
+          const targets = transition.targets.length
+            ? transition.targets
+            : [{ node }]
+
+          return targets.map(({ node: target, target: targetId }) => {
+            if (!target) {
+              throw new Error(
+                `State '${node.id}' has a transition on '${transition.event}' to '${targetId}', which does not exist`
+              )
+            }
+
+            return {
+              label: getTransitionLabel(transition),
+              source: node,
+              target,
+            }
+          })
+        })
+      )
+    )
+  )
+
+const isCluster = node => node.children.length > 0
+
+const getInitialChild = node => {
+  const child = node.children.find(child => child.key === node.initial)
+
+  if (!child) {
+    throw new Error(
+      `State '${node.id}' starts in '${node.initial}', which is not one of its child states`
+    )
+  }
+
+  return child
+}
+
+const quote = value =>
+  `"${String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')}"`
+
+const toDotAttributes = attributes =>
+  `[${Object.keys(attributes)
+    .map(name => `${name}=${quote(attributes[name])}`)
+    .join(', ')}]`
+
+const toDotInitial = node => {
+  const initialId = `${node.id}:initial`
+
+  if (!node.initial) {
+    return []
+  }
+
+  return [
+    `${quote(initialId)} ${toDotAttributes({ shape: 'point' })}`,
+    `${quote(initialId)} -> ${quote(getInitialChild(node).id)}`,
+  ]
+}
+
+// Compound and parallel state nodes are drawn as clusters around their
+// children, with an invisible point inside for transitions to attach to.
+// Regions of a parallel state node have a dashed border
+const toDotNode = node => {
+  const isRegion = node.parent && node.parent.type === 'parallel'
+
+  if (node.type === 'history') {
+    return [
+      `${quote(node.id)} ${toDotAttributes({
+        label: getHistoryLabel(node),
+        shape: 'circle',
+      })}`,
+    ]
+  }
+
+  if (!isCluster(node)) {
+    return [
+      `${quote(node.id)} ${toDotAttributes({
+        label: node.key,
+        ...(node.type === 'final' && { peripheries: 2 }),
+        ...(isRegion && { style: 'rounded,dashed' }),
+      })}`,
+    ]
+  }
+
+  return [
+    `subgraph ${quote(`cluster_${node.id}`)} {`,
+    ...indent([
+      `label=${quote(node.key)}`,
+      `style=${quote(isRegion ? 'rounded,dashed' : 'rounded')}`,
+      `${quote(node.id)} ${toDotAttributes({
+        shape: 'point',
+        style: 'invis',
+      })}`,
+      ...toDotInitial(node),
+      ...[].concat(...node.children.map(toDotNode)),
+    ]),
+    '}',
+  ]
+}
+
+const toDotEdge = ({ label, source, target }) =>
+  `${quote(source.id)} -> ${quote(target.id)} ${toDotAttributes({
+    label,
+    ...(isCluster(source) && { ltail: `cluster_${source.id}` }),
+    ...(isCluster(target) && { lhead: `cluster_${target.id}` }),
+  })}`
+
+// Draws the machine in the Graphviz DOT language, e.g. for `dot -Tsvg`. The
+// machine itself is the outermost cluster
+const toDot = machine => {
+  const nodes = getStateNodes(machine)
+  const [root] = nodes
+
+  return [
+    `digraph ${quote(root.id)} {`,
+    ...indent([
+      'compound=true',
+      `node ${toDotAttributes({ shape: 'box', style: 'rounded' })}`,
+      ...toDotNode(root),
+      ...getEdges(nodes).map(toDotEdge),
+    ]),
+    '}',
+  ].join('\n')
+}
+
+// Mermaid ids are plain words, and its labels cannot contain quotes
+const toMermaidId = node => node.id.replace(/\W/g, '_')
+
+const toMermaidLabel = label => label.replace(/"/g, '#quot;')
+
+// Regions of a parallel state node are separated by `--`, and final state
+// nodes transition to `[*]`
+const toMermaidChildren = node => {
+  if (node.type === 'parallel') {
+    return [].concat(
+      ...node.children.map((child, index) =>
+        (index > 0 ? ['--'] : []).concat(toMermaidNode(child))
+      )
+    )
+  }
+
+  return (node.initial
+    ? [`[*] --> ${toMermaidId(getInitialChild(node))}`]
+    : []
+  ).concat(...node.children.map(toMermaidNode))
+}
+
+const toMermaidNode = node => {
+  const id = toMermaidId(node)
+  const label = node.type === 'history' ? getHistoryLabel(node) : node.key
+  const lines = [`state "${toMermaidLabel(label)}" as ${id}`]
+
+  if (node.type === 'final') {
+    lines.push(`${id} --> [*]`)
+  }
+
+  if (!isCluster(node)) {
+    return lines
+  }
+
+  return lines.concat(`state ${id} {`, indent(toMermaidChildren(node)), '}')
+}
+
+const toMermaidEdge = ({ label, source, target }) =>
+  `${toMermaidId(source)} --> ${toMermaidId(target)} : ${toMermaidLabel(label)}`
+
+// Draws the machine as a Mermaid state diagram, e.g. for Markdown docs. The
+// machine itself is the outermost composite state
+const toMermaid = machine => {
+  const nodes = getStateNodes(machine)
+  const [root] = nodes
+
+  return [
+    'stateDiagram-v2',
+    ...indent([...toMermaidNode(root), ...getEdges(nodes).map(toMermaidEdge)]),
+  ].join('\n')
+}
+
+// The SVG renderer lays states out itself, so it needs no browser to measure
+// text. Labels are set in a monospace font, where every character is about
+// as wide as `CHAR_WIDTH`
+const CHAR_WIDTH = 7
+const LINE_HEIGHT = 16
+const PADDING = 16
+const GAP = 48
+const EDGE_ROOM = 32
+const HEADER_HEIGHT = 28
+const INITIAL_HEIGHT = 20
+const ATOMIC_HEIGHT = 32
+const MIN_WIDTH = 80
+const HISTORY_RADIUS = 14
+const LOOP_WIDTH = 32
+
+const getTextWidth = text => text.length * CHAR_WIDTH
+
+const round = value => Math.round(value * 10) / 10
+
+const escapeXml = value =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+
+const toSvgElement = (name, attributes, content) => {
+  const attributeList = Object.keys(attributes)
+    .map(key => ` ${key}="${escapeXml(attributes[key])}"`)
+    .join('')
+
+  return content === undefined
+    ? `<${name}${attributeList}/>`
+    : `<${name}${attributeList}>${content}</${name}>`
+}
+
+// Works out the size of every state node, and where its children go relative
+// to it. The children of a compound state node are stacked, the regions of a
+// parallel one are put side by side
+const measure = node => {
+  if (node.type === 'history') {
+    node.width = HISTORY_RADIUS * 2
+    node.height = HISTORY_RADIUS * 2
+    return
+  }
+
+  if (!isCluster(node)) {
+    node.width = Math.max(MIN_WIDTH, getTextWidth(node.key) + PADDING * 2)
+    node.height = ATOMIC_HEIGHT
+    return
+  }
+
+  node.children.forEach(measure)
+
+  if (node.type === 'parallel') {
+    let x = PADDING
+
+    node.children.forEach(region => {
+      region.offset = { x, y: HEADER_HEIGHT }
+      x += region.width + PADDING * 2
+    })
+    node.width = Math.max(x - PADDING, getTextWidth(node.key) + PADDING * 2)
+    node.height =
+      HEADER_HEIGHT + Math.max(...node.children.map(child => child.height))
+    return
+  }
+
+  const contentWidth = Math.max(...node.children.map(child => child.width))
+  let y = HEADER_HEIGHT + (node.initial ? INITIAL_HEIGHT : 0)
+
+  node.width = Math.max(
+    contentWidth + (PADDING + EDGE_ROOM) * 2,
+    getTextWidth(node.key) + PADDING * 2
+  )
+  node.children.forEach(child => {
+    child.offset = { x: (node.width - child.width) / 2, y }
+    y += child.height + GAP
+  })
+  node.height = y - GAP + PADDING
+}
+
+const place = (node, x, y) => {
+  node.x = x
+  node.y = y
+  node.children.forEach(child =>
+    place(child, x + child.offset.x, y + child.offset.y)
+  )
+}
+
+const toSvgSeparator = region =>
+  toSvgElement('line', {
+    x1: round(region.x - PADDING),
+    y1: round(region.y),
+    x2: round(region.x - PADDING),
+    y2: round(region.parent.y + region.parent.height - PADDING / 2),
+    stroke: 'black',
+    'stroke-dasharray': '6 4',
+  })
+
+// A dot with an arrow into the initial child
+const toSvgInitialMarker = node => {
+  if (!node.initial) {
+    return []
+  }
+
+  const child = getInitialChild(node)
+  const x = round(child.x + child.width / 2)
+
+  return [
+    toSvgElement('circle', {
+      cx: x,
+      cy: round(child.y - INITIAL_HEIGHT + 4),
+      r: 4,
+      fill: 'black',
+    }),
+    toSvgElement('line', {
+      x1: x,
+      y1: round(child.y - INITIAL_HEIGHT + 8),
+      x2: x,
+      y2: round(child.y),
+      stroke: 'black',
+      'marker-end': 'url(#arrow)',
+    }),
+  ]
+}
+
+const toSvgNode = node => {
+  const isRegion = node.parent && node.parent.type === 'parallel'
+  const centerX = node.x + node.width / 2
+
+  if (node.type === 'history') {
+    return [
+      toSvgElement('circle', {
+        cx: round(centerX),
+        cy: round(node.y + HISTORY_RADIUS),
+        r: HISTORY_RADIUS,
+        fill: 'none',
+        stroke: 'black',
+      }),
+      toSvgElement(
+        'text',
+        {
+          x: round(centerX),
+          y: round(node.y + HISTORY_RADIUS + 4),
+          'text-anchor': 'middle',
+        },
+        getHistoryLabel(node)
+      ),
+    ]
+  }
+
+  const box = {
+    x: round(node.x),
+    y: round(node.y),
+    width: round(node.width),
+    height: round(node.height),
+    rx: 6,
+    fill: 'none',
+    stroke: 'black',
+  }
+  // Final state nodes have a double border
+  const insetBox = {
+    ...box,
+    x: box.x + 3,
+    y: box.y + 3,
+    width: box.width - 6,
+    height: box.height - 6,
+    rx: 4,
+  }
+
+  if (!isCluster(node)) {
+    return [
+      toSvgElement('rect', box),
+      ...(node.type === 'final' ? [toSvgElement('rect', insetBox)] : []),
+      toSvgElement(
+        'text',
+        {
+          x: round(centerX),
+          y: round(node.y + ATOMIC_HEIGHT / 2 + 4),
+          'text-anchor': 'middle',
+        },
+        escapeXml(node.key)
+      ),
+    ]
+  }
+
+  // Regions have no box of their own, only the dashed lines between them
+  const separators =
+    node.type === 'parallel' ? node.children.slice(1).map(toSvgSeparator) : []
+
+  return [
+    ...(isRegion ? [] : [toSvgElement('rect', box)]),
+    toSvgElement(
+      'text',
+      {
+        x: round(node.x + PADDING / 2),
+        y: round(node.y + HEADER_HEIGHT / 2 + 4),
+        'font-weight': 'bold',
+      },
+      escapeXml(node.key)
+    ),
+    ...separators,
+    ...toSvgInitialMarker(node),
+    ...[].concat(...node.children.map(toSvgNode)),
+  ]
+}
+
+// Where a line from the center of a node towards `point` leaves the node
+const getBoundaryPoint = (node, point) => {
+  const center = { x: node.x + node.width / 2, y: node.y + node.height / 2 }
+  const dx = point.x - center.x
+  const dy = point.y - center.y
+  const scale = Math.min(
+    dx ? node.width / 2 / Math.abs(dx) : Infinity,
+    dy ? node.height / 2 / Math.abs(dy) : Infinity
+  )
+
+  return { x: center.x + dx * scale, y: center.y + dy * scale }
+}
+
+const isAncestor = (node, descendant) =>
+  Boolean(descendant.parent) &&
+  (descendant.parent === node || isAncestor(node, descendant.parent))
+
+// Arrows between a state node and one of its descendants run from the top
+// edge of the outer node, everything else from border to border
+const getEdgePoint = (node, other) => {
+  const center = { x: other.x + other.width / 2, y: other.y + other.height / 2 }
+
+  if (isAncestor(node, other)) {
+    return { x: center.x, y: node.y }
+  }
+
+  if (isAncestor(other, node)) {
+    return { x: node.x + node.width / 2, y: node.y }
+  }
+
+  return getBoundaryPoint(node, center)
+}
+
+const toSvgLabel = (lines, x, y, anchor) =>
+  toSvgElement(
+    'text',
+    { x: round(x), y: round(y), 'text-anchor': anchor },
+    lines
+      .map((line, index) =>
+        toSvgElement(
+          'tspan',
+          { x: round(x), dy: index === 0 ? 0 : LINE_HEIGHT },
+          escapeXml(line)
+        )
+      )
+      .join('')
+  )
+
+// Arrows bend to one side, so the arrows between two nodes in opposite
+// directions, or past the nodes between them, do not overlap
+const toSvgEdge = ({ labels, source, target }) => {
+  if (source === target) {
+    const x = source.x + source.width
+    const y = source.y + Math.min(source.height, ATOMIC_HEIGHT) / 2
+
+    return [
+      toSvgElement('path', {
+        d: `M ${round(x)} ${round(y - 6)} C ${round(x + LOOP_WIDTH)} ${round(
+          y - 24
+        )} ${round(x + LOOP_WIDTH)} ${round(y + 24)} ${round(x)} ${round(
+          y + 6
+        )}`,
+        fill: 'none',
+        stroke: 'black',
+        'marker-end': 'url(#arrow)',
+      }),
+      toSvgLabel(labels, x + LOOP_WIDTH + 4, y + 4, 'start'),
+    ]
+  }
+
+  const start = getEdgePoint(source, target)
+  const end = getEdgePoint(target, source)
+  const length = Math.hypot(end.x - start.x, end.y - start.y) || 1
+  const bend = 12 + length * 0.6
+  const control = {
+    x: (start.x + end.x) / 2 - ((end.y - start.y) / length) * bend,
+    y: (start.y + end.y) / 2 + ((end.x - start.x) / length) * bend,
+  }
+  const middle = {
+    x: (start.x + control.x * 2 + end.x) / 4,
+    y: (start.y + control.y * 2 + end.y) / 4,
+  }
+
+  return [
+    toSvgElement('path', {
+      d: `M ${round(start.x)} ${round(start.y)} Q ${round(control.x)} ${round(
+        control.y
+      )} ${round(end.x)} ${round(end.y)}`,
+      fill: 'none',
+      stroke: 'black',
+      'marker-end': 'url(#arrow)',
+    }),
+    toSvgLabel(
+      labels,
+      middle.x + (control.x < middle.x ? -4 : 4),
+      middle.y,
+      control.x < middle.x ? 'end' : 'start'
+    ),
+  ]
+}
+
+// Transitions between the same two nodes share one arrow
+const groupEdges = edges =>
+  edges.reduce((groups, { label, source, target }) => {
+    const group = groups.find(
+      group => group.source === source && group.target === target
+    )
+
+    if (group) {
+      group.labels.push(label)
+      return groups
+    }
+
+    return groups.concat({ labels: [label], source, target })
+  }, [])
+
+// Draws the machine as a standalone SVG document. Layout only depends on the
+// config, so the same config always gives the same SVG
+const toSvg = machine => {
+  const nodes = getStateNodes(machine)
+  const [root] = nodes
+  const edges = groupEdges(getEdges(nodes))
+  const labelWidth = Math.max(
+    0,
+    ...edges.map(edge => Math.max(...edge.labels.map(getTextWidth)))
+  )
+
+  measure(root)
+  place(root, PADDING + labelWidth, PADDING)
+
+  const width = root.width + (PADDING + labelWidth + LOOP_WIDTH) * 2
+  const height = root.height + PADDING * 2
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${round(
+      width
+    )}" height="${round(height)}" viewBox="0 0 ${round(width)} ${round(
+      height
+    )}" font-family="monospace" font-size="12">`,
+    ...indent([
+      '<defs>',
+      ...indent([
+        '<marker id="arrow" viewBox="0 0 8 8" refX="8" refY="4" markerWidth="8" markerHeight="8" orient="auto">',
+        ...indent(['<path d="M 0 0 L 8 4 L 0 8 z"/>']),
+        '</marker>',
+      ]),
+      '</defs>',
+      ...toSvgNode(root),
+      ...[].concat(...edges.map(toSvgEdge)),
+    ]),
+    '</svg>',
+  ].join('\n')
+}
+
+module.exports = {
+  toDot,
+  toMermaid,
+  toSvg,
+}
@@ -0,0 +1,236 @@
+const { toDot, toMermaid, toSvg } = require('./diagram')
+const { assign, createMachine } = require('./solution')
+const addSublimation = require('../../challenges/add-sublimation/solution')
+const simpleDoor = require('../../challenges/simple-door/solution')
+const smartDoor = require('../../challenges/smart-door/solution')
+const richTextEditor = require('../../challenges/rich-text-editor/solution')
+
+const logToggle = () => {}
+const lightBulbMachine = createMachine({
+  id: 'lightBulb',
+  initial: 'unlit',
+  context: { toggles: 0 },
+  states: {
+    unlit: {
+      on: {
+        TOGGLE: {
+          target: 'lit',
+          cond: 'isWired',
+          actions: [assign({ toggles: c => c.toggles + 1 }), logToggle],
+        },
+        BREAK: 'broken',
+      },
+    },
+    lit: {
+      on: { TOGGLE: 'unlit', BREAK: 'broken' },
+    },
+    broken: { type: 'final' },
+  },
+})
+
+describe('toDot', () => {
+  it('should draw states and transitions labelled with events, guards and actions', () => {
+    expect(toDot(lightBulbMachine)).toEqual(
+      [
+        'digraph "lightBulb" {',
+        '  compound=true',
+        '  node [shape="box", style="rounded"]',
+        '  subgraph "cluster_lightBulb" {',
+        '    label="lightBulb"',
+        '    style="rounded"',
+        '    "lightBulb" [shape="point", style="invis"]',
+        '    "lightBulb:initial" [shape="point"]',
+        '    "lightBulb:initial" -> "lightBulb.unlit"',
+        '    "lightBulb.unlit" [label="unlit"]',
+        '    "lightBulb.lit" [label="lit"]',
+        '    "lightBulb.broken" [label="broken", peripheries="2"]',
+        '  }',
+        '  "lightBulb.unlit" -> "lightBulb.lit" [label="TOGGLE [isWired] / assign, logToggle"]',
+        '  "lightBulb.unlit" -> "lightBulb.broken" [label="BREAK"]',
+        '  "lightBulb.lit" -> "lightBulb.unlit" [label="TOGGLE"]',
+        '  "lightBulb.lit" -> "lightBulb.broken" [label="BREAK"]',
+        '}',
+      ].join('\n')
+    )
+  })
+
+  it('should draw XState machines and attach transitions to compound states', () => {
+    const dot = toDot(smartDoor.doorMachine)
+
+    expect(dot).toContain('subgraph "cluster_door.unlocked" {')
+    expect(dot).toContain(
+      '"door.locked" -> "door.unlocked" [label="UNLOCK", lhead="cluster_door.unlocked"]'
+    )
+    expect(dot).toContain(
+      '"door.unlocked.closed" -> "door.locked" [label="LOCK"]'
+    )
+  })
+
+  it('should draw regions of parallel states with a dashed border', () => {
+    const dot = toDot(richTextEditor.richTextMachine)
+
+    expect(dot.match(/style="rounded,dashed"/g)).toHaveLength(3)
+    expect(dot).toContain(
+      '"door" -> "door.bold.disabled" [label="RESET", ltail="cluster_door"]'
+    )
+  })
+
+  it('should label eventless, delayed and done transitions', () => {
+    const dot = toDot({
+      id: 'job',
+      initial: 'queued',
+      states: {
+        queued: { always: { target: 'running', cond: 'hasWorker' } },
+        running: {
+          invoke: { id: 'work', src: 'work', onDone: 'checking' },
+          after: { 5000: 'failed' },
+        },
+        checking: {
+          initial: 'pending',
+          states: {
+            pending: { after: { CHECK_DELAY: 'passed' } },
+            passed: { type: 'final' },
+            hist: { type: 'history', history: 'deep' },
+          },
+          onDone: 'done',
+        },
+        failed: {},
+        done: { type: 'final' },
+      },
+    })
+
+    expect(dot).toContain('[label="always [hasWorker]"]')
+    expect(dot).toContain(
+      '[label="done.invoke.work", lhead="cluster_job.checking"]'
+    )
+    expect(dot).toContain('[label="after 5000ms"]')
+    expect(dot).toContain('[label="after CHECK_DELAY"]')
+    expect(dot).toContain(
+      '"job.checking" -> "job.done" [label="done.state.job.checking", ltail="cluster_job.checking"]'
+    )
+    expect(dot).toContain('"job.checking.hist" [label="H*", shape="circle"]')
+  })
+
+  it('should throw if a transition targets a state that does not exist', () => {
+    expect(() =>
+      toDot({
+        id: 'broken',
+        initial: 'a',
+        states: { a: { on: { GO: 'b' } } },
+      })
+    ).toThrow(/transition on 'GO' to 'b', which does not exist/)
+  })
+})
+
+describe('toMermaid', () => {
+  it('should draw states and transitions labelled with events, guards and actions', () => {
+    expect(toMermaid(lightBulbMachine)).toEqual(
+      [
+        'stateDiagram-v2',
+        '  state "lightBulb" as lightBulb',
+        '  state lightBulb {',
+        '    [*] --> lightBulb_unlit',
+        '    state "unlit" as lightBulb_unlit',
+        '    state "lit" as lightBulb_lit',
+        '    state "broken" as lightBulb_broken',
+        '    lightBulb_broken --> [*]',
+        '  }',
+        '  lightBulb_unlit --> lightBulb_lit : TOGGLE [isWired] / assign, logToggle',
+        '  lightBulb_unlit --> lightBulb_broken : BREAK',
+        '  lightBulb_lit --> lightBulb_unlit : TOGGLE',
+        '  lightBulb_lit --> lightBulb_broken : BREAK',
+      ].join('\n')
+    )
+  })
+
+  it('should separate the regions of parallel states', () => {
+    const mermaid = toMermaid(richTextEditor.richTextMachine)
+
+    expect(mermaid.match(/^ {4}--$/gm)).toHaveLength(2)
+    expect(mermaid).toContain('door_bold_disabled --> door_bold_enabled')
+  })
+})
+
+describe('toSvg', () => {
+  // The box drawn for a state is the rect right before its label
+  const getBox = (svg, label) => {
+    const [, x, y, width, height] = svg.match(
+      new RegExp(
+        `<rect x="([\\d.]+)" y="([\\d.]+)" width="([\\d.]+)" height="([\\d.]+)"[^>]*/>\\s*<text[^>]*>${label}</text>`
+      )
+    )
+
+    return {
+      x: Number(x),
+      y: Number(y),
+      width: Number(width),
+      height: Number(height),
+    }
+  }
+  const contains = (outer, inner) =>
+    inner.x > outer.x &&
+    inner.y > outer.y &&
+    inner.x + inner.width < outer.x + outer.width &&
+    inner.y + inner.height < outer.y + outer.height
+
+  it('should render a standalone SVG document', () => {
+    const svg = toSvg(addSublimation.h2oMachine)
+
+    expect(svg).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/)
+    expect(svg).toMatch(/<\/svg>$/)
+    expect(svg).not.toContain('NaN')
+    expect(svg).toEqual(toSvg(addSublimation.h2oMachine.config))
+  })
+
+  it('should draw a box for every state and a labelled arrow for every transition', () => {
+    const svg = toSvg(addSublimation.h2oMachine)
+
+    ;['ice', 'water', 'vapor'].forEach(state =>
+      expect(contains(getBox(svg, 'h2o'), getBox(svg, state))).toBe(true)
+    )
+    expect(svg.match(/<path d="M [\d.]+ [\d.]+ Q /g)).toHaveLength(6)
+    ;['HEAT', 'COOL', 'SUBLIMATE', 'DEPOSIT'].forEach(event =>
+      expect(svg).toContain(`>${event}</tspan>`)
+    )
+  })
+
+  it('should draw nested states inside their parents', () => {
+    const svg = toSvg(simpleDoor.doorMachine)
+    const unlocked = getBox(svg, 'unlocked')
+    const opened = getBox(svg, 'opened')
+
+    expect(contains(unlocked, getBox(svg, 'closed'))).toBe(true)
+    expect(contains(unlocked, opened)).toBe(true)
+    expect(contains(opened, getBox(svg, 'deadboltEngaged'))).toBe(true)
+    expect(contains(unlocked, getBox(svg, 'locked'))).toBe(false)
+  })
+
+  it('should mark the initial state of every compound state', () => {
+    const svg = toSvg(simpleDoor.doorMachine)
+
+    expect(svg.match(/<circle [^>]*fill="black"\/>/g)).toHaveLength(3)
+  })
+
+  it('should separate parallel regions with dashed lines', () => {
+    const svg = toSvg(richTextEditor.richTextMachine)
+
+    expect(svg.match(/<line [^>]*stroke-dasharray="6 4"\/>/g)).toHaveLength(2)
+    expect(svg).not.toMatch(/<rect [^>]*\/>\s*<text[^>]*>bold<\/text>/)
+  })
+
+  it('should share one arrow between transitions of the same states', () => {
+    const svg = toSvg({
+      id: 'player',
+      initial: 'paused',
+      states: {
+        paused: { on: { PLAY: 'playing', 'SKIP<1>': 'playing' } },
+        playing: { on: { REPEAT: 'playing' } },
+      },
+    })
+
+    expect(svg).toContain('dy="0">PLAY</tspan>')
+    expect(svg).toContain('dy="16">SKIP&lt;1&gt;</tspan>')
+    expect(svg).toMatch(/<path d="M [\d.]+ [\d.]+ C /)
+    expect(svg).toContain('>REPEAT</tspan>')
+  })
+})
@@ -0,0 +1,42 @@
+const fs = require('fs')
+const path = require('path')
+
+let temporaryFileCount = 0
+
+// Keeps every snapshot in a JSON file of its own in `directory`. Snapshots are
+// written to a temporary file first and renamed over the old one, so a file
+// never holds half a snapshot
+const createFileSystemAdapter = directory => {
+  const toFilePath = key =>
+    path.join(directory, `${encodeURIComponent(key)}.json`)
+
+  const writeFile = (filePath, contents) => {
+    const temporaryPath = [
+      filePath,
+      process.pid,
+      temporaryFileCount++,
+      'tmp',
+    ].join('.')
+
+    return fs.promises
+      .writeFile(temporaryPath, contents)
+      .then(() => fs.promises.rename(temporaryPath, filePath))
+  }
+
+  return {
+    get: key =>
+      fs.promises.readFile(toFilePath(key), 'utf8').then(JSON.parse, error => {
+        if (error.code !== 'ENOENT') {
+          throw error
+        }
+      }),
+    set: (key, snapshot) =>
+      fs.promises
+        .mkdir(directory, { recursive: true })
+        .then(() => writeFile(toFilePath(key), JSON.stringify(snapshot))),
+  }
+}
+
+module.exports = {
+  createFileSystemAdapter,
+}
@@ -0,0 +1,132 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { createFileSystemAdapter } = require('./filesystem')
+const { assign, createMachine, interpret } = require('./solution')
+
+const removeDirectory = directory => {
+  fs.readdirSync(directory).forEach(name => {
+    const entry = path.join(directory, name)
+
+    if (fs.statSync(entry).isDirectory()) {
+      removeDirectory(entry)
+    } else {
+      fs.unlinkSync(entry)
+    }
+  })
+  fs.rmdirSync(directory)
+}
+
+describe('createFileSystemAdapter', () => {
+  const formMachine = createMachine({
+    id: 'form',
+    initial: 'editing',
+    context: { name: '' },
+    states: {
+      editing: { on: { SUBMIT: 'submitted' } },
+      submitted: {},
+    },
+  })
+  let directory
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'))
+  })
+
+  afterEach(() => {
+    removeDirectory(directory)
+  })
+
+  it('should keep every snapshot in a JSON file of its own', async () => {
+    const adapter = createFileSystemAdapter(path.join(directory, 'nested'))
+    const snapshot = { state: { value: 'submitted' }, version: 1 }
+
+    expect(await adapter.get('user/1')).toBeUndefined()
+
+    await adapter.set('user/1', snapshot)
+    expect(await adapter.get('user/1')).toEqual(snapshot)
+    expect(fs.readdirSync(path.join(directory, 'nested'))).toEqual([
+      'user%2F1.json',
+    ])
+  })
+
+  it('should keep the latest snapshot whole when events come back to back', async () => {
+    const counterMachine = createMachine({
+      id: 'counter',
+      initial: 'counting',
+      context: { count: 0, padding: '' },
+      states: {
+        counting: {
+          on: {
+            INC: {
+              actions: assign({
+                count: context => context.count + 1,
+                padding: context => (context.padding ? '' : 'x'.repeat(2e5)),
+              }),
+            },
+          },
+        },
+      },
+    })
+    const fileSystemAdapter = createFileSystemAdapter(directory)
+    const writes = []
+    const adapter = {
+      get: fileSystemAdapter.get,
+      set: (key, snapshot) => {
+        writes.push(fileSystemAdapter.set(key, snapshot))
+        return writes[writes.length - 1]
+      },
+    }
+    const service = interpret(counterMachine, { persistence: { adapter } })
+    const started = new Promise(resolve => service.onTransition(resolve))
+
+    service.start()
+    await started
+    for (let count = 0; count < 21; count++) {
+      service.send('INC')
+    }
+
+    // Every write that finishes may start the one that waited for it
+    for (let count = 0; count !== writes.length; ) {
+      count = writes.length
+      await Promise.all(writes)
+    }
+
+    expect(writes).toHaveLength(2)
+    expect(fs.readdirSync(directory)).toEqual(['counter.json'])
+    expect((await fileSystemAdapter.get('counter')).state.context).toEqual({
+      count: 21,
+      padding: 'x'.repeat(2e5),
+    })
+  })
+
+  it('should start a service without a snapshot when its file is not JSON', async () => {
+    const adapter = createFileSystemAdapter(directory)
+    const onError = jest.fn()
+    fs.writeFileSync(path.join(directory, 'form.json'), '{"state":')
+    const service = interpret(formMachine, {
+      persistence: { adapter, onError },
+    })
+    const started = new Promise(resolve => service.onTransition(resolve))
+
+    service.start()
+
+    expect(await started).toBe(formMachine.initialState)
+    expect(onError).toHaveBeenCalledWith(expect.any(SyntaxError))
+  })
+
+  it('should restore a service from its file', async () => {
+    const adapter = createFileSystemAdapter(directory)
+    await adapter.set('form', {
+      state: { actions: [], context: { name: 'Ada' }, value: 'submitted' },
+      version: 1,
+    })
+    const service = interpret(formMachine, { persistence: { adapter } })
+    const started = new Promise(resolve => service.onTransition(resolve))
+
+    service.start()
+
+    expect((await started).value).toEqual('submitted')
+    expect(service.currentState().context).toEqual({ name: 'Ada' })
+  })
+})
@@ -0,0 +1,27 @@
+const { assign, createMachine } = require('./solution')
+
+// Machines shared by the tests of the tools. The vending machine only vends
+// once 100 has been deposited, so which states it reaches depends on the data
+// its events carry
+const vendingMachine = createMachine({
+  id: 'vending',
+  initial: 'idle',
+  context: { deposited: 0 },
+  states: {
+    idle: {
+      on: {
+        DEPOSIT: {
+          actions: assign({
+            deposited: (context, event) => context.deposited + event.amount,
+          }),
+        },
+        VEND: { target: 'vending', cond: context => context.deposited >= 100 },
+      },
+    },
+    vending: { on: { DONE: 'idle' } },
+  },
+})
+
+module.exports = {
+  vendingMachine,
+}
@@ -0,0 +1,161 @@
+const { toArray } = require('./solution')
+const { getStateNodes, isActive, isExternalEvent } = require('./statechart')
+
+// Keys are sorted, so values that only differ in the order their regions
+// were entered in serialize the same
+const sortKeys = (key, value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return value
+  }
+
+  return Object.keys(value)
+    .sort()
+    .reduce(
+      (sorted, childKey) => ({ ...sorted, [childKey]: value[childKey] }),
+      {}
+    )
+}
+
+const stringify = value => JSON.stringify(value, sortKeys)
+
+const defaultSerializeState = ({ context, value }) =>
+  context === undefined
+    ? stringify(value)
+    : `${stringify(value)} | ${stringify(context)}`
+
+// Guards are sampled with fixtures: every event type can be given a list of
+// event objects to try, or a function of the state that returns them. Events
+// without fixtures are sent with their type alone
+const createGraph = (machine, options = {}) => {
+  const {
+    contexts,
+    events = {},
+    filter = () => true,
+    serializeState = defaultSerializeState,
+  } = options
+  const nodes = getStateNodes(machine)
+
+  const getEventTypes = state =>
+    nodes
+      .filter(node => isActive(node, state.value))
+      .reduce(
+        (eventTypes, node) =>
+          eventTypes.concat(
+            node.transitions
+              .map(({ event }) => event)
+              .filter(
+                event => isExternalEvent(event) && !eventTypes.includes(event)
+              )
+          ),
+        []
+      )
+
+  const getEvents = (state, type) => {
+    const fixture = events[type]
+    const samples = typeof fixture === 'function' ? fixture(state) : fixture
+
+    return samples === undefined ? [{ type }] : toArray(samples)
+  }
+
+  // Only events that can be sent from outside are explored. Every sampled
+  // event that changes the state is an edge, and a machine that is done takes
+  // no more transitions
+  const getEdges = state => {
+    if (state.done) {
+      return []
+    }
+
+    return [].concat(
+      ...getEventTypes(state).map(type =>
+        getEvents(state, type)
+          .map(event => ({ event, state: machine.transition(state, event) }))
+          .filter(edge => edge.state.changed && filter(edge.state))
+      )
+    )
+  }
+
+  const initialStates = contexts
+    ? contexts.map(context => machine.withContext(context).initialState)
+    : [machine.initialState]
+
+  return { getEdges, initialStates, serializeState }
+}
+
+const toPath = (state, segments) => ({
+  segments,
+  state,
+  weight: segments.length,
+})
+
+// Finds the shortest sequence of events that reaches every reachable state,
+// keyed by the serialized state. Every event weighs the same, so the first
+// time a breadth-first search meets a state it has found its shortest path
+const getShortestPaths = (machine, options) => {
+  const { getEdges, initialStates, serializeState } = createGraph(
+    machine,
+    options
+  )
+  const paths = {}
+  const queue = []
+
+  const visit = (state, segments) => {
+    const key = serializeState(state)
+
+    if (!(key in paths)) {
+      paths[key] = { paths: [toPath(state, segments)], state }
+      queue.push({ segments, state })
+    }
+  }
+
+  initialStates.forEach(state => visit(state, []))
+
+  while (queue.length) {
+    const { segments, state } = queue.shift()
+
+    getEdges(state).forEach(edge =>
+      visit(edge.state, segments.concat({ event: edge.event, state }))
+    )
+  }
+
+  return paths
+}
+
+// Finds every path that reaches a state without passing through any state
+// twice, keyed by the serialized state it reaches
+const getSimplePaths = (machine, options) => {
+  const { getEdges, initialStates, serializeState } = createGraph(
+    machine,
+    options
+  )
+  const paths = {}
+
+  const visit = (state, segments, visited) => {
+    const key = serializeState(state)
+
+    if (visited.includes(key)) {
+      return
+    }
+
+    if (!(key in paths)) {
+      paths[key] = { paths: [], state }
+    }
+
+    paths[key].paths.push(toPath(state, segments))
+    getEdges(state).forEach(edge =>
+      visit(
+        edge.state,
+        segments.concat({ event: edge.event, state }),
+        visited.concat(key)
+      )
+    )
+  }
+
+  initialStates.forEach(state => visit(state, [], []))
+
+  return paths
+}
+
+module.exports = {
+  getShortestPaths,
+  getSimplePaths,
+}
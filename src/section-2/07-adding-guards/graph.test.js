@@ -0,0 +1,159 @@
+const { vendingMachine } = require('./fixtures')
+const { getShortestPaths, getSimplePaths } = require('./graph')
+const { createMachine } = require('./solution')
+const richTextEditor = require('../../challenges/rich-text-editor/solution')
+const simpleDoor = require('../../challenges/simple-door/solution')
+
+const lightBulbMachine = createMachine({
+  id: 'lightBulb',
+  initial: 'unlit',
+  strict: true,
+  states: {
+    lit: { on: { TOGGLE: 'unlit', BREAK: 'broken' } },
+    unlit: { on: { TOGGLE: 'lit', BREAK: 'broken' } },
+    broken: { type: 'final', on: { FIX: 'unlit' } },
+  },
+})
+
+const toEventTypes = path => path.segments.map(({ event }) => event.type)
+
+const getEventTypes = paths =>
+  Object.keys(paths).reduce(
+    (eventTypes, key) => ({
+      ...eventTypes,
+      [key]: paths[key].paths.map(toEventTypes),
+    }),
+    {}
+  )
+
+describe('getShortestPaths', () => {
+  it('should find the shortest way to every reachable state', () => {
+    const paths = getShortestPaths(lightBulbMachine)
+
+    expect(getEventTypes(paths)).toEqual({
+      '"unlit"': [[]],
+      '"lit"': [['TOGGLE']],
+      '"broken"': [['BREAK']],
+    })
+    expect(paths['"broken"'].state.value).toEqual('broken')
+    expect(paths['"broken"'].paths[0]).toEqual({
+      segments: [{ event: { type: 'BREAK' }, state: expect.any(Object) }],
+      state: paths['"broken"'].state,
+      weight: 1,
+    })
+    expect(paths['"broken"'].paths[0].segments[0].state.value).toEqual('unlit')
+  })
+
+  it('should sample guards with event fixtures', () => {
+    const deposit = amount => ({ type: 'DEPOSIT', amount })
+
+    expect(getShortestPaths(vendingMachine)).not.toHaveProperty([
+      '"vending" | {"deposited":100}',
+    ])
+
+    const paths = getShortestPaths(vendingMachine, {
+      events: { DEPOSIT: [deposit(50), deposit(100)] },
+      filter: state => state.context.deposited <= 100,
+    })
+
+    expect(getEventTypes(paths)).toEqual({
+      '"idle" | {"deposited":0}': [[]],
+      '"idle" | {"deposited":50}': [['DEPOSIT']],
+      '"idle" | {"deposited":100}': [['DEPOSIT']],
+      '"vending" | {"deposited":100}': [['DEPOSIT', 'VEND']],
+    })
+    expect(
+      paths['"vending" | {"deposited":100}'].paths[0].segments[0].event
+    ).toEqual(deposit(100))
+  })
+
+  it('should let event fixtures depend on the state', () => {
+    const paths = getShortestPaths(vendingMachine, {
+      events: {
+        DEPOSIT: state =>
+          state.context.deposited < 100
+            ? [{ type: 'DEPOSIT', amount: 100 - state.context.deposited }]
+            : [],
+      },
+    })
+
+    expect(Object.keys(paths)).toEqual([
+      '"idle" | {"deposited":0}',
+      '"idle" | {"deposited":100}',
+      '"vending" | {"deposited":100}',
+    ])
+  })
+
+  it('should start from every context fixture', () => {
+    const paths = getShortestPaths(vendingMachine, {
+      contexts: [{ deposited: 0 }, { deposited: 100 }],
+      events: { DEPOSIT: [] },
+    })
+
+    expect(getEventTypes(paths)).toEqual({
+      '"idle" | {"deposited":0}': [[]],
+      '"idle" | {"deposited":100}': [[]],
+      '"vending" | {"deposited":100}': [['VEND']],
+    })
+  })
+
+  it('should serialize states with a custom serializer', () => {
+    const paths = getShortestPaths(vendingMachine, {
+      events: { DEPOSIT: { type: 'DEPOSIT', amount: 50 } },
+      serializeState: ({ context, value }) =>
+        `${value} ${Math.min(context.deposited, 100)}`,
+    })
+
+    expect(getEventTypes(paths)).toEqual({
+      'idle 0': [[]],
+      'idle 50': [['DEPOSIT']],
+      'idle 100': [['DEPOSIT', 'DEPOSIT']],
+      'vending 100': [['DEPOSIT', 'DEPOSIT', 'VEND']],
+    })
+  })
+
+  it('should treat values with regions in any order as the same state', () => {
+    const paths = getShortestPaths(richTextEditor.richTextMachine)
+
+    expect(Object.keys(paths)).toHaveLength(8)
+    expect(
+      paths['{"bold":"enabled","italic":"enabled","underline":"enabled"}']
+        .paths[0].weight
+    ).toEqual(3)
+  })
+
+  it('should work with XState machines', () => {
+    expect(getEventTypes(getShortestPaths(simpleDoor.doorMachine))).toEqual({
+      '"locked"': [[]],
+      '{"unlocked":"closed"}': [['UNLOCK']],
+      '{"unlocked":{"opened":"deadboltDisengaged"}}': [['UNLOCK', 'OPEN']],
+      '{"unlocked":{"opened":"deadboltEngaged"}}': [
+        ['UNLOCK', 'OPEN', 'ENGAGE'],
+      ],
+    })
+  })
+})
+
+describe('getSimplePaths', () => {
+  it('should find every path that does not visit a state twice', () => {
+    expect(getEventTypes(getSimplePaths(lightBulbMachine))).toEqual({
+      '"unlit"': [[]],
+      '"lit"': [['TOGGLE']],
+      '"broken"': [['TOGGLE', 'BREAK'], ['BREAK']],
+    })
+  })
+
+  it('should sample guards with event fixtures', () => {
+    const paths = getSimplePaths(vendingMachine, {
+      events: { DEPOSIT: { type: 'DEPOSIT', amount: 50 } },
+      filter: state => state.context.deposited <= 100,
+    })
+
+    expect(getEventTypes(paths)).toEqual({
+      '"idle" | {"deposited":0}': [[]],
+      '"idle" | {"deposited":50}': [['DEPOSIT']],
+      '"idle" | {"deposited":100}': [['DEPOSIT', 'DEPOSIT']],
+      '"vending" | {"deposited":100}': [['DEPOSIT', 'DEPOSIT', 'VEND']],
+    })
+  })
+})
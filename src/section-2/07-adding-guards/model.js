@@ -0,0 +1,190 @@
+const { getShortestPaths, getSimplePaths } = require('./graph')
+const { getStateNodes, isActive, isExternalEvent } = require('./statechart')
+
+const toEventConfig = eventConfig =>
+  typeof eventConfig === 'function' ? { exec: eventConfig } : eventConfig
+
+const getTransitionKey = (transition, transitions) => {
+  const key = `${transition.source.id} on ${transition.event}`
+  const siblings = transitions.filter(
+    ({ event, source }) =>
+      source === transition.source && event === transition.event
+  )
+
+  return siblings.length > 1 ? `${key} #${siblings.indexOf(transition)}` : key
+}
+
+const toCounts = keys =>
+  keys.reduce((counts, key) => ({ ...counts, [key]: 0 }), {})
+
+// Builds tests from the paths through a machine. Every event type needs an
+// executor that does to the system under test what the event stands for, and
+// may list the cases it is sampled with. Assertions are given per state node
+// id, and run whenever that state node is active along a path
+const createTestModel = (machine, options = {}) => {
+  const { events = {}, states = {}, ...graphOptions } = options
+  const nodes = getStateNodes(machine).filter(node => node.type !== 'history')
+  const transitions = [].concat(
+    ...nodes.map(node =>
+      node.transitions.filter(({ event }) => isExternalEvent(event))
+    )
+  )
+  const coverage = {
+    stateNodes: toCounts(nodes.map(node => node.id)),
+    transitions: toCounts(
+      transitions.map(transition => getTransitionKey(transition, transitions))
+    ),
+  }
+
+  const eventConfigs = Object.keys(events).reduce(
+    (eventConfigs, type) => ({
+      ...eventConfigs,
+      [type]: toEventConfig(events[type]),
+    }),
+    {}
+  )
+
+  const fixtures = Object.keys(eventConfigs)
+    .filter(type => eventConfigs[type].cases)
+    .reduce(
+      (fixtures, type) => ({
+        ...fixtures,
+        [type]: eventConfigs[type].cases.map(eventCase => ({
+          ...eventCase,
+          type,
+        })),
+      }),
+      {}
+    )
+
+  const getActiveNodes = state =>
+    nodes.filter(node => isActive(node, state.value))
+
+  const testState = (state, testContext) => {
+    getActiveNodes(state).forEach(node => {
+      coverage.stateNodes[node.id]++
+
+      if (states[node.id]) {
+        states[node.id](testContext, state)
+      }
+    })
+  }
+
+  const execEvent = (event, testContext) => {
+    const eventConfig = eventConfigs[event.type]
+
+    if (!eventConfig || !eventConfig.exec) {
+      throw new Error(
+        `Event '${event.type}' has no executor. Add one to the events of the test model`
+      )
+    }
+
+    return eventConfig.exec(testContext, event)
+  }
+
+  // The machine itself tells which transitions an event takes. XState keeps
+  // them on the next state instead, along with the state node they belong to
+  const getTakenTransitions = (state, event, nextState) => {
+    if (machine.getSelectedTransitions) {
+      return machine.getSelectedTransitions(state, event)
+    }
+
+    return nextState.transitions.map(transition => ({
+      eventType: transition.eventType,
+      index: transition.source.on[transition.eventType].indexOf(transition),
+      source: transition.source.id,
+    }))
+  }
+
+  const recordTransition = (state, event, nextState) => {
+    getTakenTransitions(state, event, nextState).forEach(
+      ({ eventType, index, source }) => {
+        const taken = transitions.filter(
+          transition =>
+            transition.source.id === source && transition.event === eventType
+        )[index]
+
+        if (taken) {
+          coverage.transitions[getTransitionKey(taken, transitions)]++
+        }
+      }
+    )
+  }
+
+  // Each state along a path is checked before the event that leaves it is
+  // executed. Executors and assertions may return promises, which are waited
+  // for in turn
+  const toTestPath = path => {
+    const eventTypes = path.segments.map(({ event }) => event.type)
+    const steps = path.segments
+      .map((segment, index) => {
+        const nextSegment = path.segments[index + 1]
+        const nextState = nextSegment ? nextSegment.state : path.state
+
+        return [
+          testContext => testState(segment.state, testContext),
+          testContext => execEvent(segment.event, testContext),
+          () => recordTransition(segment.state, segment.event, nextState),
+        ]
+      })
+      .concat([[testContext => testState(path.state, testContext)]])
+
+    return {
+      description: eventTypes.length
+        ? `via ${eventTypes.join(' → ')}`
+        : 'via no events',
+      segments: path.segments,
+      state: path.state,
+      test: testContext =>
+        []
+          .concat(...steps)
+          .reduce(
+            (promise, step) => promise.then(() => step(testContext)),
+            Promise.resolve()
+          ),
+      weight: path.weight,
+    }
+  }
+
+  const toPlans = paths =>
+    Object.keys(paths).map(key => ({
+      description: `reaches state ${key}`,
+      paths: paths[key].paths.map(toTestPath),
+      state: paths[key].state,
+    }))
+
+  return {
+    getCoverage: () => ({
+      stateNodes: { ...coverage.stateNodes },
+      transitions: { ...coverage.transitions },
+    }),
+    getShortestPathPlans: () =>
+      toPlans(getShortestPaths(machine, { ...graphOptions, events: fixtures })),
+    getSimplePathPlans: () =>
+      toPlans(getSimplePaths(machine, { ...graphOptions, events: fixtures })),
+    // Throws if any state node or transition was never exercised. Some of them
+    // may be impossible to exercise, so the filter is given each state node id
+    // and transition key, and can leave them out
+    testCoverage: (filter = () => true) => {
+      const toMissing = (counts, label) =>
+        Object.keys(counts)
+          .filter(key => !counts[key] && filter(key))
+          .map(key => `${label} '${key}'`)
+      const missing = toMissing(coverage.stateNodes, 'state node').concat(
+        toMissing(coverage.transitions, 'transition')
+      )
+
+      if (missing.length) {
+        throw new Error(
+          `The test model did not cover every part of the machine. Missing: ${missing.join(
+            ', '
+          )}`
+        )
+      }
+    },
+  }
+}
+
+module.exports = {
+  createTestModel,
+}
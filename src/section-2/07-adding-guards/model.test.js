@@ -0,0 +1,223 @@
+const xstate = require('xstate')
+const { vendingMachine } = require('./fixtures')
+const { createTestModel } = require('./model')
+const { assign, createMachine } = require('./solution')
+const smartDoor = require('../../challenges/smart-door/solution')
+
+// A door that is meant to behave like the smart door machine
+const createDoor = () => {
+  const door = { isLocked: true, isOpen: false }
+
+  return {
+    close: () => (door.isOpen = false),
+    lock: () => !door.isOpen && (door.isLocked = true),
+    open: () => !door.isLocked && (door.isOpen = true),
+    unlock: () => (door.isLocked = false),
+    isLocked: () => door.isLocked,
+    isOpen: () => door.isOpen,
+  }
+}
+
+const createDoorModel = () =>
+  createTestModel(smartDoor.doorMachine, {
+    events: {
+      CLOSE: door => door.close(),
+      LOCK: door => door.lock(),
+      OPEN: door => door.open(),
+      UNLOCK: door => door.unlock(),
+    },
+    states: {
+      'door.locked': door => expect(door.isLocked()).toBe(true),
+      'door.unlocked': door => expect(door.isLocked()).toBe(false),
+      'door.unlocked.closed': door => expect(door.isOpen()).toBe(false),
+      'door.unlocked.opened': door => expect(door.isOpen()).toBe(true),
+    },
+  })
+
+describe('smart door', () => {
+  const doorModel = createDoorModel()
+
+  doorModel.getSimplePathPlans().forEach(plan => {
+    describe(plan.description, () => {
+      plan.paths.forEach(path => {
+        it(path.description, () => path.test(createDoor()))
+      })
+    })
+  })
+})
+
+describe('createTestModel', () => {
+  it('should plan one describe block per state and one test per path', () => {
+    const plans = createDoorModel().getShortestPathPlans()
+
+    expect(
+      plans.map(plan => ({
+        description: plan.description,
+        paths: plan.paths.map(path => path.description),
+      }))
+    ).toEqual([
+      { description: 'reaches state "locked"', paths: ['via no events'] },
+      {
+        description: 'reaches state {"unlocked":"closed"}',
+        paths: ['via UNLOCK'],
+      },
+      {
+        description: 'reaches state {"unlocked":"opened"}',
+        paths: ['via UNLOCK → OPEN'],
+      },
+    ])
+    expect(plans[2].state.value).toEqual({ unlocked: 'opened' })
+    expect(plans[2].paths[0].weight).toEqual(2)
+  })
+
+  it('should check every state before executing the event that leaves it', async () => {
+    const calls = []
+    const testModel = createTestModel(vendingMachine, {
+      events: {
+        DEPOSIT: {
+          cases: [{ amount: 100 }],
+          exec: (log, event) =>
+            Promise.resolve().then(() =>
+              log.push(`${event.type} ${event.amount}`)
+            ),
+        },
+        DONE: log => log.push('DONE'),
+        VEND: log => log.push('VEND'),
+      },
+      filter: state => state.context.deposited <= 100,
+      states: {
+        'vending.idle': (log, state) =>
+          log.push(`idle ${state.context.deposited}`),
+        'vending.vending': log => log.push('vending'),
+      },
+    })
+    const [plan] = testModel
+      .getShortestPathPlans()
+      .filter(plan => plan.state.value === 'vending')
+
+    await plan.paths[0].test(calls)
+
+    expect(calls).toEqual([
+      'idle 0',
+      'DEPOSIT 100',
+      'idle 100',
+      'VEND',
+      'vending',
+    ])
+  })
+
+  it('should fail when an assertion fails', async () => {
+    const brokenDoor = { ...createDoor(), unlock: () => {} }
+    const [, plan] = createDoorModel().getShortestPathPlans()
+
+    await expect(plan.paths[0].test(brokenDoor)).rejects.toThrow()
+  })
+
+  it('should fail when an event has no executor', async () => {
+    const testModel = createTestModel(smartDoor.doorMachine)
+    const [, plan] = testModel.getShortestPathPlans()
+
+    await expect(plan.paths[0].test()).rejects.toThrow(
+      /^Event 'UNLOCK' has no executor/
+    )
+  })
+
+  it('should credit the transitions the machine took', async () => {
+    // The guard of `m.on.a` fails, so `E` is taken by its parent. The second
+    // `F` enters `m.on` through its history state
+    const createMachineConfig = assign => ({
+      id: 'm',
+      initial: 'on',
+      context: { visits: 0 },
+      states: {
+        on: {
+          initial: 'a',
+          on: { E: 'off' },
+          states: {
+            a: { on: { E: { cond: () => false } } },
+            hist: { type: 'history' },
+          },
+        },
+        off: {
+          on: {
+            F: [
+              { target: 'on', cond: () => false },
+              {
+                target: 'on.hist',
+                actions: assign({ visits: context => context.visits + 1 }),
+              },
+            ],
+          },
+        },
+      },
+    })
+    const machines = [
+      createMachine(createMachineConfig(assign)),
+      xstate.Machine(createMachineConfig(xstate.assign)),
+    ]
+
+    for (const machine of machines) {
+      const testModel = createTestModel(machine, {
+        events: { E: () => {}, F: () => {} },
+        filter: state => state.context.visits < 2,
+      })
+
+      for (const plan of testModel.getShortestPathPlans()) {
+        await plan.paths[0].test()
+      }
+
+      expect(testModel.getCoverage().transitions).toEqual({
+        'm.off on F #0': 0,
+        'm.off on F #1': 2,
+        'm.on on E': 4,
+        'm.on.a on E': 0,
+      })
+    }
+  })
+
+  it('should report which state nodes and transitions were exercised', async () => {
+    const doorModel = createDoorModel()
+
+    expect(doorModel.getCoverage()).toEqual({
+      stateNodes: {
+        door: 0,
+        'door.locked': 0,
+        'door.unlocked': 0,
+        'door.unlocked.closed': 0,
+        'door.unlocked.opened': 0,
+      },
+      transitions: {
+        'door.locked on UNLOCK': 0,
+        'door.unlocked.closed on LOCK': 0,
+        'door.unlocked.closed on OPEN': 0,
+        'door.unlocked.opened on CLOSE': 0,
+      },
+    })
+
+    const [, , plan] = doorModel.getShortestPathPlans()
+
+    await plan.paths[0].test(createDoor())
+
+    expect(doorModel.getCoverage()).toEqual({
+      stateNodes: {
+        door: 3,
+        'door.locked': 1,
+        'door.unlocked': 2,
+        'door.unlocked.closed': 1,
+        'door.unlocked.opened': 1,
+      },
+      transitions: {
+        'door.locked on UNLOCK': 1,
+        'door.unlocked.closed on LOCK': 0,
+        'door.unlocked.closed on OPEN': 1,
+        'door.unlocked.opened on CLOSE': 0,
+      },
+    })
+    expect(() => doorModel.testCoverage()).toThrow(
+      /Missing: transition 'door\.unlocked\.closed on LOCK', transition 'door\.unlocked\.opened on CLOSE'$/
+    )
+    expect(() =>
+      doorModel.testCoverage(key => !/ on (LOCK|CLOSE)$/.test(key))
+    ).not.toThrow()
+  })
+})
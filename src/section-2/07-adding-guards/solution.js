@@ -1,7 +1,9 @@
 const toArray = value => (value === undefined ? [] : [].concat(value))
 
+// A state value can itself be an object (`{ unlocked: 'closed' }`), so only
+// objects carrying a `value` are treated as full state objects
 const toStateObject = state =>
-  typeof state === 'string' ? { value: state } : state
+  typeof state === 'string' || !('value' in state) ? { value: state } : state
 
 const toEventObject = event =>
   typeof event === 'string' ? { type: event } : event
@@ -22,6 +24,13 @@ const toActionObject = action => {
   }
 }
 
+const NULL_EVENT = { type: '' }
+
+const BUILT_IN_EVENT_PATTERN = /^(xstate|done|error)\./
+
+// Guards against eventless transitions that never stop transitioning
+const MAX_TRANSIENT_TRANSITIONS = 1000
+
 const ASSIGN_ACTION_TYPE = '__assign__'
 
 const assign = assignment => ({
@@ -29,141 +38,1864 @@ const assign = assignment => ({
   assignment,
 })
 
-function createMachine(config) {
-  const { context, id, initial, states } = config
+const SEND_ACTION_TYPE = 'xstate.send'
+const CANCEL_ACTION_TYPE = 'xstate.cancel'
+
+// The event may also be an expression of the context and event, which is
+// resolved when the transition is taken
+const send = (event, options = {}) => {
+  const eventObject = typeof event === 'function' ? event : toEventObject(event)
 
   return {
-    initialState: {
-      actions: toArray(states[initial].entry).map(toActionObject),
-      context,
-      value: initial,
+    type: SEND_ACTION_TYPE,
+    delay: options.delay,
+    event: eventObject,
+    id: options.id || eventObject.type,
+    to: options.to,
+  }
+}
+
+const PARENT_TARGET = '#_parent'
+
+const sendParent = (event, options = {}) =>
+  send(event, { ...options, to: PARENT_TARGET })
+
+const cancel = sendId => ({
+  type: CANCEL_ACTION_TYPE,
+  sendId,
+})
+
+const START_ACTION_TYPE = 'xstate.start'
+const STOP_ACTION_TYPE = 'xstate.stop'
+
+// Activities are named like actions, either by a string pointing to
+// `options.activities` or by the name of the function itself
+const toActivityObject = activity =>
+  typeof activity === 'function'
+    ? { id: activity.name, type: activity.name, exec: activity }
+    : { id: activity, type: activity }
+
+const INVOKE_ACTIVITY_TYPE = 'xstate.invoke'
+
+// An invoked service runs for as long as its state node is active, just like
+// an activity does. Its `onDone` and `onError` transitions are taken on the
+// events the interpreter sends when the service settles
+const toInvokeObject = (invokeConfig, nodeId, index) => {
+  const { onDone, onError, ...activity } = invokeConfig
+  const id = invokeConfig.id || `${nodeId}:invocation[${index}]`
+
+  return {
+    activity: { ...activity, id, type: INVOKE_ACTIVITY_TYPE },
+    on: {
+      ...(onDone && { [`done.invoke.${id}`]: toArray(onDone) }),
+      ...(onError && { [`error.platform.${id}`]: toArray(onError) }),
     },
-    transition(state, event) {
-      const { value } = toStateObject(state)
-      const stateConfig = states[value]
+  }
+}
+
+const start = activity => ({
+  type: START_ACTION_TYPE,
+  activity,
+})
+
+const stop = activity => ({
+  type: STOP_ACTION_TYPE,
+  activity,
+})
+
+// Activities are saved by id and type only, their implementations and
+// services are looked up again when the state is resolved. Every other action
+// is plain data apart from its `exec`, which JSON leaves out anyway
+const toSerializableAction = action => {
+  if (action.type !== START_ACTION_TYPE && action.type !== STOP_ACTION_TYPE) {
+    return action
+  }
+
+  const { id, type } = action.activity
+  return { type: action.type, activity: { id, type } }
+}
+
+// Turns `after: { 1000: 'next' }` (or `after: [{ delay: 1000, target }]`) into
+// regular transitions on a generated event. Entering the state schedules that
+// event, exiting it cancels it
+const toDelayedTransitions = (after = {}, nodeId) => {
+  const toDelayedTransition = delay => ({
+    delay,
+    transitions: toArray(after[delay]),
+  })
+  const delayedTransitions = Array.isArray(after)
+    ? after
+    : Object.keys(after).map(toDelayedTransition)
+
+  return delayedTransitions.map(({ delay, transitions, ...transition }) => {
+    const delayRef = isNaN(delay) ? delay : Number(delay)
+    const eventType = `xstate.after(${delayRef})#${nodeId}`
+
+    return {
+      cancel: cancel(eventType),
+      eventType,
+      send: send(eventType, { delay: delayRef }),
+      transitions: transitions || [transition],
+    }
+  })
+}
+
+// `always` is another way of writing transitions on the null event, and
+// `onDone` of writing transitions on the event raised once the node is done
+const toTransitionsByEvent = (
+  nodeConfig,
+  nodeId,
+  delayedTransitions,
+  invocations
+) => {
+  const on = { ...nodeConfig.on }
+
+  if (nodeConfig.always) {
+    on[NULL_EVENT.type] = toArray(on[NULL_EVENT.type]).concat(nodeConfig.always)
+  }
+
+  if (nodeConfig.onDone) {
+    on[`done.state.${nodeId}`] = toArray(nodeConfig.onDone)
+  }
+
+  delayedTransitions.forEach(delayed => {
+    on[delayed.eventType] = delayed.transitions
+  })
+
+  return invocations.reduce(
+    (on, invocation) => ({ ...on, ...invocation.on }),
+    on
+  )
+}
+
+// Filters `assign` actions out of a list of actions, applying each of them to
+// the context in the order they appear
+const resolveActions = (actions, context, eventObject) => {
+  let assigned = false
+  let nextContext = context
+
+  const resolvedActions = actions.filter(action => {
+    const { assignment, type } = action
+
+    if (type !== ASSIGN_ACTION_TYPE) {
+      return true
+    }
+
+    assigned = true
+    let tempContext = { ...nextContext }
+
+    if (typeof assignment === 'function') {
+      tempContext = assignment(nextContext, eventObject)
+    } else {
+      Object.keys(assignment).forEach(key => {
+        tempContext[key] =
+          typeof assignment[key] === 'function'
+            ? assignment[key](nextContext, eventObject)
+            : assignment[key]
+      })
+    }
+
+    nextContext = tempContext
+    return false
+  })
+
+  return { actions: resolvedActions, assigned, context: nextContext }
+}
+
+// Walks the config and builds a tree of state nodes. Every node knows its
+// parent, its path from the root and its position in document order, which is
+// what we sort by whenever several nodes are exited or entered at once
+function createStateNodes(config) {
+  const machineId = config.id || '(machine)'
+  const nodesById = {}
+  let order = 0
+
+  const createStateNode = (nodeConfig, key, parent) => {
+    const path = parent ? parent.path.concat(key) : []
+    const id = nodeConfig.id || [machineId].concat(path).join('.')
+    const delayedTransitions = toDelayedTransitions(nodeConfig.after, id)
+    const invocations = toArray(nodeConfig.invoke).map((invokeConfig, index) =>
+      toInvokeObject(invokeConfig, id, index)
+    )
+    const activities = toArray(nodeConfig.activities)
+      .map(toActivityObject)
+      .concat(invocations.map(invocation => invocation.activity))
+    const node = {
+      activities,
+      config: nodeConfig,
+      delayedSends: delayedTransitions.map(delayed => delayed.send),
+      entry: toArray(nodeConfig.entry).concat(
+        activities.map(start),
+        delayedTransitions.map(delayed => delayed.send)
+      ),
+      exit: toArray(nodeConfig.exit).concat(
+        activities.map(stop),
+        delayedTransitions.map(delayed => delayed.cancel)
+      ),
+      id,
+      initial: nodeConfig.initial,
+      key,
+      on: toTransitionsByEvent(nodeConfig, id, delayedTransitions, invocations),
+      order: order++,
+      parent,
+      path,
+      type: nodeConfig.type || (nodeConfig.states ? 'compound' : 'atomic'),
+    }
+
+    nodesById[node.id] = node
+    const childNodes = Object.keys(nodeConfig.states || {}).map(childKey =>
+      createStateNode(nodeConfig.states[childKey], childKey, node)
+    )
+    // History nodes can be targeted, but are never active themselves
+    node.children = childNodes.filter(child => child.type !== 'history')
+    node.historyNodes = childNodes.filter(child => child.type === 'history')
+    node.states = childNodes.reduce(
+      (states, child) => ({ ...states, [child.key]: child }),
+      {}
+    )
+
+    return node
+  }
+
+  return { machineId, nodesById, root: createStateNode(config, machineId) }
+}
 
-      if (!stateConfig) {
+const isDescendant = (node, ancestor) => {
+  for (let current = node; current; current = current.parent) {
+    if (current === ancestor) {
+      return true
+    }
+  }
+
+  return false
+}
+
+const getAncestors = (node, stopNode) => {
+  const ancestors = []
+
+  for (let current = node.parent; current; current = current.parent) {
+    if (current === stopNode) {
+      break
+    }
+
+    ancestors.push(current)
+  }
+
+  return ancestors
+}
+
+const getDescendant = (node, path) =>
+  path.reduce((current, key) => current && current.states[key], node)
+
+// Finds the state node a transition of `source` targets, or `undefined` if
+// there is none. `#id.child` targets an id, `.child` a child of the source and
+// anything else a sibling of it
+const getTargetNode = (stateNodes, source, target) => {
+  if (target[0] === '#') {
+    // Ids may contain dots themselves, so try the longest matching id first
+    const segments = target.slice(1).split('.')
+
+    for (let i = segments.length; i > 0; i--) {
+      const idNode = stateNodes.nodesById[segments.slice(0, i).join('.')]
+      const node = idNode && getDescendant(idNode, segments.slice(i))
+
+      if (node) {
+        return node
+      }
+    }
+
+    return undefined
+  }
+
+  const isChildTarget = target[0] === '.'
+  return getDescendant(
+    isChildTarget ? source : source.parent || source,
+    (isChildTarget ? target.slice(1) : target).split('.')
+  )
+}
+
+// Final state nodes have no children either
+const isAtomic = node => node.type === 'atomic' || node.type === 'final'
+
+const byDocumentOrder = (a, b) => a.order - b.order
+
+// A compound state node is done once one of its final children is active, a
+// parallel one once all of its regions are
+const isInFinalState = (node, configuration) => {
+  if (node.type === 'parallel') {
+    return node.children.every(child => isInFinalState(child, configuration))
+  }
+
+  return node.children.some(
+    child => child.type === 'final' && configuration.includes(child)
+  )
+}
+
+// Entering a final state node raises `done.state.<id>` for its parent, and for
+// the parallel state node above that if all of its regions are now done
+const getDoneEvents = (entrySet, configuration) =>
+  entrySet
+    .filter(node => node.type === 'final' && node.parent.parent)
+    .reduce((doneNodes, { parent }) => {
+      const grandparent = parent.parent
+
+      return doneNodes.concat(
+        parent,
+        grandparent.type === 'parallel' &&
+          grandparent.parent &&
+          isInFinalState(grandparent, configuration)
+          ? grandparent
+          : []
+      )
+    }, [])
+    .filter((node, index, doneNodes) => doneNodes.indexOf(node) === index)
+    .map(node => ({ type: `done.state.${node.id}` }))
+
+const getStatePath = node => node.path.join('.')
+
+// History is left out of a state until some has been recorded, so that states
+// of machines without history states serialize without it
+const createState = ({ history, ...state }) => ({
+  ...state,
+  ...(Object.keys(history).length > 0 && { history }),
+})
+
+const OPTION_TYPES = ['actions', 'activities', 'delays', 'guards', 'services']
+
+const mergeOptions = (options, nextOptions) =>
+  OPTION_TYPES.reduce(
+    (merged, type) => ({
+      ...merged,
+      [type]: { ...options[type], ...nextOptions[type] },
+    }),
+    {}
+  )
+
+// Builds a machine around an existing tree of state nodes, so that machines
+// derived with `withConfig` and `withContext` share the same state graph
+function buildMachine(stateNodes, config, options) {
+  const { id } = config
+  const {
+    actions: actionImplementations,
+    activities: activityImplementations,
+    delays,
+    guards,
+    services,
+  } = options
+  const { machineId, nodesById, root } = stateNodes
+
+  // String actions refer to the implementations given in `options.actions`,
+  // which keeps the config itself serializable
+  const resolveActivity = activity => {
+    if (activity.type === INVOKE_ACTIVITY_TYPE) {
+      if (typeof activity.src !== 'string') {
+        return activity
+      }
+
+      if (!services[activity.src]) {
         throw new Error(
-          `Machine '${id}' does not have a state named '${value}'`
+          `Machine '${id}' does not have a service named '${activity.src}'`
+        )
+      }
+
+      return { ...activity, src: services[activity.src] }
+    }
+
+    if (activity.exec) {
+      return activity
+    }
+
+    const implementation = activityImplementations[activity.type]
+
+    if (!implementation) {
+      throw new Error(
+        `Machine '${id}' does not have an activity named '${activity.type}'`
+      )
+    }
+
+    return { ...activity, exec: implementation }
+  }
+
+  const toActionObjects = actions =>
+    actions.filter(Boolean).map(action => {
+      if (action.type === START_ACTION_TYPE) {
+        return start(resolveActivity(action.activity))
+      }
+
+      if (typeof action !== 'string') {
+        return toActionObject(action)
+      }
+
+      const implementation = actionImplementations[action]
+
+      if (!implementation) {
+        throw new Error(
+          `Machine '${id}' does not have an action named '${action}'`
+        )
+      }
+
+      return typeof implementation === 'function'
+        ? { type: action, exec: implementation }
+        : implementation
+    })
+
+  // Every action written in the config, by type, so that actions of a saved
+  // state can be given their `exec` again. Strings are left to `options`
+  const configActions = Object.keys(nodesById).reduce(
+    (configActions, nodeId) => {
+      const node = nodesById[nodeId]
+      const transitions = [].concat(
+        ...Object.keys(node.on).map(type => toArray(node.on[type]))
+      )
+
+      return toArray(node.config.entry)
+        .concat(
+          toArray(node.config.exit),
+          ...transitions
+            .filter(Boolean)
+            .map(transition => toArray(toTransitionObject(transition).actions))
+        )
+        .filter(action => typeof action !== 'string')
+        .map(toActionObject)
+        .filter(action => action.type)
+        .reduce(
+          (configActions, action) => ({
+            ...configActions,
+            [action.type]: action,
+          }),
+          configActions
         )
+    },
+    {}
+  )
+
+  const getActivity = activityId => {
+    const activity = []
+      .concat(...Object.keys(nodesById).map(key => nodesById[key].activities))
+      .find(activity => activity.id === activityId)
+
+    if (!activity) {
+      throw new Error(
+        `Machine '${id}' does not have an activity with the id '${activityId}'`
+      )
+    }
+
+    return activity
+  }
+
+  // The inverse of toSerializableAction, which resolves action types against
+  // the options first and the config after that. Functions without a name
+  // cannot be looked up, so they stay as they were saved
+  const resolveSerializedAction = action => {
+    switch (action.type) {
+      case START_ACTION_TYPE:
+        return start(resolveActivity(getActivity(action.activity.id)))
+
+      case STOP_ACTION_TYPE:
+        return stop(getActivity(action.activity.id))
+
+      case SEND_ACTION_TYPE:
+      case CANCEL_ACTION_TYPE:
+      case '':
+        return action
+
+      default:
+        if (!actionImplementations[action.type] && configActions[action.type]) {
+          return configActions[action.type]
+        }
+
+        return toActionObjects([action.type])[0]
+    }
+  }
+
+  // Delays referenced by name come from `options.delays`, and may be
+  // functions of the context and event
+  const resolveDelay = (delay, context, eventObject) => {
+    if (typeof delay !== 'string') {
+      return delay
+    }
+
+    if (delays[delay] === undefined) {
+      throw new Error(`Machine '${id}' does not have a delay named '${delay}'`)
+    }
+
+    return typeof delays[delay] === 'function'
+      ? delays[delay](context, eventObject)
+      : delays[delay]
+  }
+
+  const resolveSendActions = (actions, context, eventObject) =>
+    actions.map(action => {
+      if (action.type !== SEND_ACTION_TYPE) {
+        return action
+      }
+
+      const event =
+        typeof action.event === 'function'
+          ? toEventObject(action.event(context, eventObject))
+          : action.event
+
+      return {
+        ...action,
+        delay: resolveDelay(action.delay, context, eventObject),
+        event,
+        id: action.id || event.type,
+      }
+    })
+
+  const toGuard = cond => {
+    if (typeof cond !== 'string') {
+      return cond
+    }
+
+    if (!guards[cond]) {
+      throw new Error(`Machine '${id}' does not have a guard named '${cond}'`)
+    }
+
+    return guards[cond]
+  }
+
+  const getChild = (node, key) => {
+    const child = node.states[key]
+
+    if (!child || child.type === 'history') {
+      throw new Error(
+        `Machine '${id}' does not have a state named '${node.path
+          .concat(key)
+          .join('.')}'`
+      )
+    }
+
+    return child
+  }
+
+  const getInitialChild = node => {
+    if (!node.initial) {
+      throw new Error(
+        `State '${node.id}' in machine '${id}' has child states but no initial state`
+      )
+    }
+
+    return getChild(node, node.initial)
+  }
+
+  // Turns a (possibly partial) state value into the list of active state
+  // nodes, filling in initial states wherever the value stops short
+  const getConfiguration = (node, value) => {
+    if (isAtomic(node)) {
+      const [key] =
+        typeof value === 'string' ? [value] : Object.keys(value || {})
+
+      if (key !== undefined) {
+        getChild(node, key)
       }
 
-      const transitionFailure = {
+      return [node]
+    }
+
+    if (node.type === 'parallel') {
+      // Every key has to be a region, even though regions may be left out
+      if (value && typeof value === 'object') {
+        Object.keys(value).forEach(key => getChild(node, key))
+      }
+
+      return node.children.reduce(
+        (configuration, region) =>
+          configuration.concat(
+            getConfiguration(region, value && value[region.key])
+          ),
+        [node]
+      )
+    }
+
+    if (value === undefined) {
+      return [node].concat(getConfiguration(getInitialChild(node)))
+    }
+
+    if (typeof value === 'string') {
+      return [node].concat(getConfiguration(getChild(node, value)))
+    }
+
+    const keys = Object.keys(value)
+
+    if (keys.length > 1) {
+      const states = keys.map(key => `'${key}'`).join(', ')
+
+      throw new Error(
+        `Machine '${id}' cannot be in states ${states} at once. Only one child of '${node.id}' is active at a time`
+      )
+    }
+
+    return [node].concat(
+      getConfiguration(getChild(node, keys[0]), value[keys[0]])
+    )
+  }
+
+  const getShallowValue = (node, value) => {
+    if (node.type === 'parallel') {
+      return {}
+    }
+
+    return typeof value === 'string' ? value : Object.keys(value)[0]
+  }
+
+  // The inverse of getConfiguration
+  const getValue = (node, configuration) => {
+    if (node.type === 'parallel') {
+      return node.children.reduce(
+        (value, region) => ({
+          ...value,
+          [region.key]: isAtomic(region) ? {} : getValue(region, configuration),
+        }),
+        {}
+      )
+    }
+
+    const child = node.children.find(child => configuration.includes(child))
+
+    if (child.type === 'parallel') {
+      return { [child.key]: getValue(child, configuration) }
+    }
+
+    return isAtomic(child)
+      ? child.key
+      : { [child.key]: getValue(child, configuration) }
+  }
+
+  const resolveTarget = (source, target) => {
+    const node = getTargetNode(stateNodes, source, target)
+
+    if (!node) {
+      throw new Error(
+        `Machine '${id}' has no state '${target}' to transition to from '${getStatePath(
+          source
+        ) || machineId}'`
+      )
+    }
+
+    return node
+  }
+
+  // A transition's domain is the state node that contains everything it
+  // exits and enters. Transitions to a child (`.child`) are internal and never
+  // exit their source, every other transition is external
+  const getTransitionDomain = transition => {
+    const { internal, source, targets } = transition
+
+    if (!targets.length) {
+      return null
+    }
+
+    if (internal && targets.every(target => isDescendant(target, source))) {
+      return source
+    }
+
+    for (let ancestor = source.parent; ancestor; ancestor = ancestor.parent) {
+      if (targets.every(target => isDescendant(target, ancestor))) {
+        return ancestor
+      }
+    }
+
+    return root
+  }
+
+  const addDescendantsToEnter = (node, statesToEnter) => {
+    if (!statesToEnter.includes(node)) {
+      statesToEnter.push(node)
+    }
+
+    const isEntering = region =>
+      statesToEnter.some(state => state !== node && isDescendant(state, region))
+
+    if (node.type === 'compound' && !isEntering(node)) {
+      addDescendantsToEnter(getInitialChild(node), statesToEnter)
+    }
+
+    if (node.type === 'parallel') {
+      node.children
+        .filter(region => !isEntering(region))
+        .forEach(region => addDescendantsToEnter(region, statesToEnter))
+    }
+  }
+
+  // Entering a history node enters whatever its parent was last in instead,
+  // falling back to its own target or to the parent's initial state
+  const addHistoryToEnter = (historyNode, statesToEnter, history) => {
+    const { parent } = historyNode
+
+    if (history[historyNode.id] !== undefined) {
+      getConfiguration(parent, history[historyNode.id])
+        .filter(node => node !== parent && !statesToEnter.includes(node))
+        .forEach(node => statesToEnter.push(node))
+    } else if (historyNode.config.target) {
+      addDescendantsToEnter(
+        resolveTarget(historyNode, historyNode.config.target),
+        statesToEnter
+      )
+    } else {
+      addDescendantsToEnter(parent, statesToEnter)
+    }
+  }
+
+  const getEntrySet = (transitions, history) => {
+    const statesToEnter = []
+
+    transitions.forEach(transition => {
+      transition.targets.forEach(target =>
+        target.type === 'history'
+          ? addHistoryToEnter(target, statesToEnter, history)
+          : addDescendantsToEnter(target, statesToEnter)
+      )
+    })
+
+    transitions.forEach(transition => {
+      transition.targets.forEach(target => {
+        getAncestors(target, transition.domain).forEach(ancestor => {
+          if (statesToEnter.includes(ancestor)) {
+            return
+          }
+
+          statesToEnter.push(ancestor)
+
+          if (ancestor.type === 'parallel') {
+            addDescendantsToEnter(ancestor, statesToEnter)
+          }
+        })
+      })
+    })
+
+    return statesToEnter.sort(byDocumentOrder)
+  }
+
+  // Regions of a parallel state node that a transition neither starts nor
+  // ends in are left alone, so when a transition's domain is a parallel state
+  // node only the regions it touches are exited
+  const getExitSet = (transition, configuration) => {
+    const { domain, source, targets } = transition
+
+    if (!domain) {
+      return []
+    }
+
+    const isTouched = region =>
+      [source].concat(targets).some(node => isDescendant(node, region))
+    const scopes =
+      domain.type === 'parallel' ? domain.children.filter(isTouched) : [domain]
+
+    return configuration.filter(
+      state =>
+        state !== domain && scopes.some(scope => isDescendant(state, scope))
+    )
+  }
+
+  const createTransition = (source, index, transitionObject, configuration) => {
+    const { target, actions = [] } = transitionObject
+    const transition = {
+      actions: toArray(actions),
+      index,
+      internal: toArray(target).every(target => target[0] === '.'),
+      source,
+      targets: toArray(target).map(target => resolveTarget(source, target)),
+    }
+    transition.domain = getTransitionDomain(transition)
+    transition.exitSet = getExitSet(transition, configuration)
+
+    return transition
+  }
+
+  const isConflicting = (a, b) =>
+    a.exitSet.some(state => b.exitSet.includes(state))
+
+  // Starting from an active atomic state, look for a handler for the event,
+  // bubbling up to each ancestor until one of them takes it. Usually that is
+  // the first transition whose condition is met, but when that transition
+  // only touches some regions of a parallel state node, the enabled
+  // transitions after it that target other regions are taken as well
+  const selectTransitionsFrom = (
+    atomicNode,
+    configuration,
+    context,
+    eventObject
+  ) => {
+    for (let node = atomicNode; node; node = node.parent) {
+      if (!(eventObject.type in node.on)) {
+        continue
+      }
+
+      // Unlike toArray, this keeps an explicit `undefined`, which forbids the
+      // event from bubbling any further
+      const transitions = [].concat(node.on[eventObject.type])
+      const selected = []
+
+      for (const [index, transition] of transitions.entries()) {
+        if (!transition) {
+          return selected
+        }
+
+        const transitionObject = toTransitionObject(transition)
+        const { cond = () => true } = transitionObject
+
+        if (!toGuard(cond)(context, eventObject)) {
+          continue
+        }
+
+        const candidate = createTransition(
+          node,
+          index,
+          transitionObject,
+          configuration
+        )
+
+        if (!selected.length) {
+          selected.push(candidate)
+        } else if (
+          candidate.targets.length &&
+          candidate.domain === selected[0].domain &&
+          !selected.some(other => isConflicting(other, candidate))
+        ) {
+          selected.push(candidate)
+        }
+
+        if (!selected[0].domain || selected[0].domain.type !== 'parallel') {
+          break
+        }
+      }
+
+      if (selected.length) {
+        return selected
+      }
+    }
+
+    return []
+  }
+
+  // Every active atomic state gets a chance to select transitions, in document
+  // order. A transition reached from several regions is only taken once, and
+  // one that would exit states an earlier transition already exits is dropped
+  const selectTransitions = (configuration, context, eventObject) =>
+    configuration
+      .filter(isAtomic)
+      .sort(byDocumentOrder)
+      .reduce((selected, atomicNode) => {
+        selectTransitionsFrom(
+          atomicNode,
+          configuration,
+          context,
+          eventObject
+        ).forEach(transition => {
+          const isDuplicate = selected.some(
+            other =>
+              other.source === transition.source &&
+              other.index === transition.index
+          )
+
+          if (
+            !isDuplicate &&
+            !selected.some(other => isConflicting(other, transition))
+          ) {
+            selected.push(transition)
+          }
+        })
+
+        return selected
+      }, [])
+
+  const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+  const isDone = configuration => isInFinalState(root, configuration)
+
+  // Every activity of an active state node is running
+  const getActivities = configuration =>
+    configuration.reduce(
+      (activities, node) =>
+        node.activities.reduce(
+          (activities, activity) => ({ ...activities, [activity.id]: true }),
+          activities
+        ),
+      {}
+    )
+
+  const formatValue = value =>
+    typeof value === 'string' ? value : JSON.stringify(value)
+
+  const events = Object.keys(nodesById).reduce(
+    (events, nodeId) =>
+      events.concat(
+        Object.keys(nodesById[nodeId].on).filter(type => !events.includes(type))
+      ),
+    []
+  )
+
+  // In strict mode, an event that no active state node has a handler for is
+  // treated as a mistake rather than silently ignored. Events the interpreter
+  // sends on its own, like `done.invoke.<id>`, need no handler
+  const assertEventIsHandled = (configuration, value, eventObject) => {
+    const { type } = eventObject
+
+    if (
+      BUILT_IN_EVENT_PATTERN.test(type) ||
+      configuration.some(node => type in node.on)
+    ) {
+      return
+    }
+
+    if (events.includes(type)) {
+      throw new Error(
+        `Machine '${id}' cannot handle event '${type}' in state '${formatValue(
+          value
+        )}'. Only other states of the machine handle it`
+      )
+    }
+
+    throw new Error(
+      `Machine '${id}' received unknown event '${type}' in state '${formatValue(
+        value
+      )}'. The machine does not handle it in any state`
+    )
+  }
+
+  const applyActions = (step, actions, eventObject) => {
+    const resolved = resolveActions(
+      toActionObjects(actions),
+      step.context,
+      eventObject
+    )
+
+    return {
+      ...step,
+      actions: step.actions.concat(
+        resolveSendActions(resolved.actions, resolved.context, eventObject)
+      ),
+      assigned: step.assigned || resolved.assigned,
+      context: resolved.context,
+    }
+  }
+
+  // Before a state node with history nodes is exited, we remember what it was
+  // in: only its active child for shallow history, everything for deep
+  const recordHistory = (step, exitSet) =>
+    exitSet.reduce(
+      (history, node) =>
+        node.historyNodes.reduce((history, historyNode) => {
+          const value = getValue(node, step.configuration)
+
+          return {
+            ...history,
+            [historyNode.id]:
+              historyNode.config.history === 'deep'
+                ? value
+                : getShallowValue(node, value),
+          }
+        }, history),
+      step.history
+    )
+
+  const microstep = (step, transitions, eventObject) => {
+    const exitSet = step.configuration
+      .filter(node =>
+        transitions.some(transition => transition.exitSet.includes(node))
+      )
+      .sort(byDocumentOrder)
+      .reverse()
+    const entrySet = getEntrySet(transitions, step.history)
+    const configuration = step.configuration
+      .filter(node => !exitSet.includes(node))
+      .concat(entrySet)
+
+    return applyActions(
+      {
+        ...step,
+        configuration,
+        history: recordHistory(step, exitSet),
+        internalQueue: step.internalQueue.concat(
+          getDoneEvents(entrySet, configuration)
+        ),
+      },
+      [].concat(
+        ...exitSet.map(node => node.exit),
+        ...transitions.map(transition => transition.actions),
+        ...entrySet.map(node => node.entry)
+      ),
+      eventObject
+    )
+  }
+
+  // Eventless transitions are taken as soon as their conditions are met, so
+  // after every step we keep taking them until the machine settles. Only then
+  // are the events it raised itself, like `done.state.<id>`, processed
+  const settle = step => {
+    for (let count = 0; count < MAX_TRANSIENT_TRANSITIONS; count++) {
+      const transitions = selectTransitions(
+        step.configuration,
+        step.context,
+        NULL_EVENT
+      )
+
+      if (transitions.length) {
+        step = microstep(step, transitions, NULL_EVENT)
+        continue
+      }
+
+      if (!step.internalQueue.length) {
+        return step
+      }
+
+      const [eventObject, ...internalQueue] = step.internalQueue
+      step = microstep(
+        { ...step, internalQueue },
+        selectTransitions(step.configuration, step.context, eventObject),
+        eventObject
+      )
+    }
+
+    throw new Error(
+      `Machine '${id}' took ${MAX_TRANSIENT_TRANSITIONS} transient transitions in a row without settling, last in state '${formatValue(
+        getValue(root, step.configuration)
+      )}'. Its eventless transitions form a cycle`
+    )
+  }
+
+  // What it takes to resume a state: none of its entry actions are taken
+  // again, only its activities are started and its delayed transitions
+  // scheduled again, which wait their full delay once more
+  const getResumeActions = (configuration, context) =>
+    resolveSendActions(
+      toActionObjects(
+        [].concat(
+          ...configuration.map(node =>
+            node.activities.map(start).concat(node.delayedSends)
+          )
+        )
+      ),
+      context,
+      { type: 'xstate.init' }
+    )
+
+  // Resolves a state object, or the JSON of one from serializeState. Its saved
+  // actions are given their implementations again. A state that comes without
+  // actions gets the actions that resume it instead
+  const resolveState = state => {
+    const stateObject = toStateObject(
+      typeof state === 'string' ? JSON.parse(state) : state
+    )
+    const configuration = getConfiguration(root, stateObject.value)
+    const context =
+      'context' in stateObject ? stateObject.context : config.context
+
+    return createState({
+      actions: stateObject.actions
+        ? stateObject.actions.map(resolveSerializedAction)
+        : getResumeActions(configuration, context),
+      activities: getActivities(configuration),
+      changed: false,
+      context,
+      done: isDone(configuration),
+      history: stateObject.history || {},
+      value: getValue(root, configuration),
+    })
+  }
+
+  const initialConfiguration = getConfiguration(root)
+  const initial = settle(
+    applyActions(
+      {
         actions: [],
+        assigned: false,
+        configuration: initialConfiguration,
+        context: config.context,
+        history: {},
+        internalQueue: getDoneEvents(
+          initialConfiguration,
+          initialConfiguration
+        ),
+      },
+      initialConfiguration.reduce(
+        (actions, node) => actions.concat(node.entry),
+        []
+      ),
+      { type: 'xstate.init' }
+    )
+  )
+
+  return Object.freeze({
+    config,
+    context: config.context,
+    options,
+    initialState: createState({
+      actions: initial.actions,
+      activities: getActivities(initial.configuration),
+      context: initial.context,
+      done: isDone(initial.configuration),
+      history: initial.history,
+      value: getValue(root, initial.configuration),
+    }),
+    // The transitions `transition` would take on an event, by the id of the
+    // state node they belong to and their position among its transitions for
+    // that event. Eventless transitions taken afterwards are left out
+    getSelectedTransitions(state, event) {
+      const stateObject = toStateObject(state)
+      const context =
+        'context' in stateObject ? stateObject.context : config.context
+      const eventObject = toEventObject(event)
+
+      return selectTransitions(
+        getConfiguration(root, stateObject.value),
+        context,
+        eventObject
+      ).map(({ index, source }) => ({
+        eventType: eventObject.type,
+        index,
+        source: source.id,
+      }))
+    },
+    // `transition` is a pure function of its arguments. Values and strings
+    // carry no context of their own, so they fall back to the machine's
+    // starting context
+    transition(state, event) {
+      const stateObject = toStateObject(state)
+      const configuration = getConfiguration(root, stateObject.value)
+      const value = getValue(root, configuration)
+      const context =
+        'context' in stateObject ? stateObject.context : config.context
+      const { history = {} } = stateObject
+
+      const transitionFailure = createState({
+        actions: [],
+        activities: getActivities(configuration),
         changed: false,
         context,
+        done: isDone(configuration),
+        history,
         value,
+      })
+
+      const eventObject = toEventObject(event)
+
+      if (config.strict) {
+        assertEventIsHandled(configuration, value, eventObject)
       }
 
-      if (!stateConfig.on) {
+      const transitions = selectTransitions(configuration, context, eventObject)
+
+      if (!transitions.length) {
         return transitionFailure
       }
 
-      const eventObject = toEventObject(event)
-      const transitions = toArray(stateConfig.on[eventObject.type])
+      const { actions, assigned, ...nextStep } = settle(
+        microstep(
+          {
+            actions: [],
+            assigned: false,
+            configuration,
+            context,
+            history,
+            internalQueue: [],
+          },
+          transitions,
+          eventObject
+        )
+      )
+      const nextValue = getValue(root, nextStep.configuration)
 
-      for (const transition of transitions) {
-        if (!transition) {
-          return transitionFailure
+      return createState({
+        actions,
+        activities: getActivities(nextStep.configuration),
+        changed:
+          !isSameValue(value, nextValue) || actions.length > 0 || assigned,
+        context: nextStep.context,
+        done: isDone(nextStep.configuration),
+        history: nextStep.history,
+        value: nextValue,
+      })
+    },
+    resolveState,
+    // Actions carry functions, so only their types and data are kept
+    serializeState: state => {
+      const stateObject = toStateObject(state)
+      const { actions = [] } = stateObject
+      const { context, history, value } = resolveState({
+        ...stateObject,
+        actions: undefined,
+      })
+
+      return JSON.stringify({
+        actions: actions.map(toSerializableAction),
+        context,
+        history,
+        value,
+      })
+    },
+    withConfig: nextOptions =>
+      buildMachine(stateNodes, config, mergeOptions(options, nextOptions)),
+    withContext: context =>
+      buildMachine(stateNodes, { ...config, context }, options),
+  })
+}
+
+function createMachine(config, options = {}) {
+  return buildMachine(
+    createStateNodes(config),
+    config,
+    mergeOptions({}, options)
+  )
+}
+
+const defaultClock = {
+  setTimeout: (fn, timeout) => setTimeout(fn, timeout),
+  clearTimeout: id => clearTimeout(id),
+}
+
+// A clock for tests, time only passes when `increment` is called
+function createSimulatedClock() {
+  let now = 0
+  let nextId = 0
+  const timeouts = new Map()
+
+  return {
+    now: () => now,
+    setTimeout: (fn, timeout) => {
+      const id = nextId++
+      timeouts.set(id, { fn, time: now + timeout })
+      return id
+    },
+    clearTimeout: id => {
+      timeouts.delete(id)
+    },
+    increment: ms => {
+      const end = now + ms
+
+      // Timeouts scheduled by other timeouts still fire if they are due
+      for (;;) {
+        const due = [...timeouts.entries()]
+          .filter(([, timeout]) => timeout.time <= end)
+          .sort(([idA, a], [idB, b]) => a.time - b.time || idA - idB)
+
+        if (!due.length) {
+          break
         }
 
-        const {
-          target = value,
-          actions = [],
-          cond = () => true,
-        } = toTransitionObject(transition)
+        const [id, timeout] = due[0]
+        timeouts.delete(id)
+        now = timeout.time
+        timeout.fn()
+      }
 
-        if (cond(context, eventObject)) {
-          let assigned = false
-          let nextContext = context
-          const nextStateConfig = states[target]
+      now = end
+    },
+  }
+}
 
-          const allActions = []
-            .concat(stateConfig.exit, actions, nextStateConfig.entry)
-            .filter(Boolean)
-            .map(toActionObject)
-            .filter(action => {
-              const { assignment, type } = action
-
-              if (type !== ASSIGN_ACTION_TYPE) {
-                return true
-              }
-
-              assigned = true
-              let tempContext = { ...nextContext }
-
-              if (typeof assignment === 'function') {
-                tempContext = assignment(nextContext, eventObject)
-              } else {
-                Object.keys(assignment).forEach(key => {
-                  tempContext[key] =
-                    typeof assignment[key] === 'function'
-                      ? assignment[key](nextContext, eventObject)
-                      : assignment[key]
-                })
-              }
-
-              nextContext = tempContext
-              return false
-            })
+const isMachine = value =>
+  Boolean(value) && typeof value.transition === 'function'
 
-          return {
-            actions: allActions,
-            changed: target !== value || allActions.length > 0 || assigned,
-            context: nextContext,
-            value: target,
-          }
+// Maps the parent's context onto the starting context of an invoked machine,
+// the same way `assign` maps an event onto the context
+const mapContext = (mapper, context, eventObject) => {
+  if (typeof mapper === 'function') {
+    return mapper(context, eventObject)
+  }
+
+  return Object.keys(mapper).reduce(
+    (mapped, key) => ({
+      ...mapped,
+      [key]:
+        typeof mapper[key] === 'function'
+          ? mapper[key](context, eventObject)
+          : mapper[key],
+    }),
+    {}
+  )
+}
+
+const isPromiseLike = value =>
+  Boolean(value) && typeof value.then === 'function'
+
+// Keeps snapshots in a `Map`, for tests and for services that only need to
+// survive being stopped and started again
+const createMemoryAdapter = (snapshots = new Map()) => ({
+  get: key => snapshots.get(key),
+  set: (key, snapshot) => {
+    snapshots.set(key, snapshot)
+  },
+})
+
+// Snapshots are saved under `key` with the `version` of the machine they were
+// taken of. A snapshot of another version is passed to `migrate`, or thrown
+// away if there is nothing to migrate it with. Snapshots that cannot be read
+// or written are reported to `onError`
+const createPersister = (machine, clock, persistence) => {
+  const {
+    adapter,
+    debounce = 0,
+    key,
+    migrate,
+    onError = error => console.error(error),
+    version = 1,
+  } = persistence
+  let saveTimer
+
+  const toRestoredState = snapshot => {
+    if (!snapshot) {
+      return undefined
+    }
+
+    if (snapshot.version === version) {
+      return snapshot.state
+    }
+
+    return migrate ? migrate(snapshot.state, snapshot.version) : undefined
+  }
+
+  // Writes to an asynchronous adapter are made one at a time, so that an older
+  // snapshot can never land after a newer one. Snapshots taken in the meantime
+  // only keep the latest of them waiting
+  let isWriting = false
+  let pendingSnapshot
+
+  const write = snapshot => {
+    let written
+
+    try {
+      written = adapter.set(key, snapshot)
+    } catch (error) {
+      onError(error)
+      return
+    }
+
+    if (!isPromiseLike(written)) {
+      return
+    }
+
+    const writeNext = () => {
+      const nextSnapshot = pendingSnapshot
+
+      isWriting = false
+      pendingSnapshot = undefined
+      nextSnapshot && write(nextSnapshot)
+    }
+
+    isWriting = true
+    written.then(writeNext, error => {
+      onError(error)
+      writeNext()
+    })
+  }
+
+  const save = state => {
+    const snapshot = {
+      state: JSON.parse(machine.serializeState(state)),
+      version,
+    }
+
+    if (isWriting) {
+      pendingSnapshot = snapshot
+    } else {
+      write(snapshot)
+    }
+  }
+
+  return {
+    onError,
+    // Calls back with the restored state, right away if the adapter is
+    // synchronous. A snapshot that cannot be read is restored as no snapshot
+    restore: callback => {
+      const settle = snapshot => {
+        let restoredState
+
+        try {
+          restoredState = toRestoredState(snapshot)
+        } catch (error) {
+          onError(error)
         }
+
+        callback(restoredState)
       }
+      let snapshot
 
-      // In the case where no conditions were met
-      return transitionFailure
+      try {
+        snapshot = adapter.get(key)
+      } catch (error) {
+        onError(error)
+        callback(undefined)
+        return
+      }
+
+      if (isPromiseLike(snapshot)) {
+        snapshot.then(settle, error => {
+          onError(error)
+          callback(undefined)
+        })
+      } else {
+        settle(snapshot)
+      }
+    },
+    save: state => {
+      if (!debounce) {
+        save(state)
+        return
+      }
+
+      clock.clearTimeout(saveTimer)
+      saveTimer = clock.setTimeout(() => {
+        saveTimer = undefined
+        save(state)
+      }, debounce)
+    },
+    // Saves a snapshot still waiting on its debounce right away
+    flush: state => {
+      if (saveTimer !== undefined) {
+        clock.clearTimeout(saveTimer)
+        saveTimer = undefined
+        save(state)
+      }
     },
   }
 }
 
-function interpret(machine) {
+const InterpreterStatus = Object.freeze({
+  NotStarted: 'NotStarted',
+  Running: 'Running',
+  Stopped: 'Stopped',
+})
+
+function interpret(machine, options = {}) {
+  const {
+    clock = defaultClock,
+    deferEvents = false,
+    id = machine.config.id,
+    parent,
+    persistence,
+    warn = false,
+  } = options
+  const persister =
+    persistence && createPersister(machine, clock, { key: id, ...persistence })
   let state = machine.initialState
-  let isStarted = false
+  let status = InterpreterStatus.NotStarted
+  let isProcessing = false
+  let isRestoring = false
+  const queue = []
   const listeners = new Set()
+  const hookListeners = {
+    change: new Set(),
+    done: new Set(),
+    event: new Set(),
+    send: new Set(),
+    stop: new Set(),
+    transition: new Set(),
+  }
+  const timers = new Map()
+  const runningActivities = new Map()
+  const children = new Map()
+  const autoForwardedChildren = new Set()
+
+  const cancelTimer = sendId => {
+    if (timers.has(sendId)) {
+      clock.clearTimeout(timers.get(sendId))
+      timers.delete(sendId)
+    }
+  }
+
+  const stopActivity = activityId => {
+    if (runningActivities.has(activityId)) {
+      const dispose = runningActivities.get(activityId)
+      runningActivities.delete(activityId)
+      typeof dispose === 'function' && dispose()
+    }
+  }
+
+  const addListener = (listeners, listener) => {
+    listeners.add(listener)
+
+    return {
+      unsubscribe: () => listeners.delete(listener),
+    }
+  }
+
+  const deliver = ({ event, to }) => {
+    hookListeners.send.forEach(listener => listener(event, to))
+
+    if (to === undefined) {
+      service.send(event)
+      return
+    }
+
+    const target = to === PARENT_TARGET ? parent : children.get(to)
+
+    if (!target) {
+      throw new Error(
+        `Service '${id}' cannot send event '${event.type}' to '${to}', there is no such service`
+      )
+    }
+
+    target.send(event)
+  }
+
+  // Anything that can receive events counts as a child service, so it can be
+  // the target of `send(event, { to })` and have events auto-forwarded to it
+  const addChild = ({ autoForward, id: childId }, child) => {
+    children.set(childId, child)
+    autoForward && autoForwardedChildren.add(child)
+
+    return () => {
+      children.delete(childId)
+      autoForwardedChildren.delete(child)
+    }
+  }
+
+  const invokeMachine = (activity, context, eventObject) => {
+    const { data, id: childId, src } = activity
+    const childContext = data && {
+      ...src.context,
+      ...mapContext(data, context, eventObject),
+    }
+    const child = interpret(data ? src.withContext(childContext) : src, {
+      clock,
+      id: childId,
+      parent: service,
+    })
+    const removeChild = addChild(activity, child)
+
+    child.subscribe(childState => {
+      if (childState.done) {
+        service.send({ type: `done.invoke.${childId}` })
+      }
+    })
+    child.start()
+
+    return () => {
+      removeChild()
+      child.stop()
+    }
+  }
+
+  // A callback handler receives a `callback` to send events to its parent and
+  // an `onReceive` to listen for events sent to it, and may return a cleanup
+  const invokeCallback = (activity, handler) => {
+    const receivers = new Set()
+    let isCanceled = false
+    const removeChild = addChild(activity, {
+      send: event => {
+        receivers.forEach(receiver => receiver(toEventObject(event)))
+      },
+    })
+    const cleanup = handler(
+      event => {
+        !isCanceled && service.send(event)
+      },
+      receiver => {
+        receivers.add(receiver)
+      }
+    )
+
+    return () => {
+      isCanceled = true
+      removeChild()
+      typeof cleanup === 'function' && cleanup()
+    }
+  }
+
+  const invokeObservable = ({ id }, observable) => {
+    let isCanceled = false
+    const subscription = observable.subscribe({
+      next: event => {
+        !isCanceled && service.send(event)
+      },
+      error: data => {
+        !isCanceled && service.send({ type: `error.platform.${id}`, data })
+      },
+      complete: () => {
+        !isCanceled && service.send({ type: `done.invoke.${id}` })
+      },
+    })
+
+    return () => {
+      isCanceled = true
+      subscription && subscription.unsubscribe()
+    }
+  }
+
+  const invokePromise = ({ id }, promise) => {
+    let isCanceled = false
+
+    Promise.resolve(promise).then(
+      data => {
+        !isCanceled && service.send({ type: `done.invoke.${id}`, data })
+      },
+      data => {
+        !isCanceled && service.send({ type: `error.platform.${id}`, data })
+      }
+    )
+
+    return () => {
+      isCanceled = true
+    }
+  }
+
+  // Every kind of service returns a function that stops it from sending any
+  // more events, which is called once the invoking state is exited
+  const invoke = (activity, context, eventObject) => {
+    const { src } = activity
+
+    if (isMachine(src)) {
+      return invokeMachine(activity, context, eventObject)
+    }
+
+    let source
+
+    try {
+      source = src(context, eventObject)
+    } catch (error) {
+      source = Promise.reject(error)
+    }
+
+    if (typeof source === 'function') {
+      return invokeCallback(activity, source)
+    }
+
+    if (source && typeof source.subscribe === 'function') {
+      return invokeObservable(activity, source)
+    }
+
+    return invokePromise(activity, source)
+  }
+
+  const startActivity = (activity, context, eventObject) => {
+    stopActivity(activity.id)
+    runningActivities.set(
+      activity.id,
+      activity.type === INVOKE_ACTIVITY_TYPE
+        ? invoke(activity, context, eventObject)
+        : activity.exec(context, eventObject)
+    )
+  }
+
+  const executeActions = (state, eventObject) => {
+    state.actions.forEach(action => {
+      switch (action.type) {
+        case SEND_ACTION_TYPE:
+          if (action.delay === undefined) {
+            deliver(action)
+            break
+          }
+
+          cancelTimer(action.id)
+          timers.set(
+            action.id,
+            clock.setTimeout(() => {
+              timers.delete(action.id)
+              deliver(action)
+            }, action.delay)
+          )
+          break
+
+        case CANCEL_ACTION_TYPE:
+          cancelTimer(action.sendId)
+          break
+
+        case START_ACTION_TYPE:
+          startActivity(action.activity, state.context, eventObject)
+          break
+
+        case STOP_ACTION_TYPE:
+          stopActivity(action.activity.id)
+          break
+
+        default:
+          action.exec && action.exec(state.context, eventObject)
+      }
+    })
+  }
+
+  // Once the machine is done, it is told once and then stops for good
+  const notify = (eventObject, previousState) => {
+    listeners.forEach(listener => listener(state))
+    hookListeners.transition.forEach(listener => listener(state, eventObject))
+
+    if (previousState && state.context !== previousState.context) {
+      hookListeners.change.forEach(listener =>
+        listener(state.context, previousState.context)
+      )
+    }
+
+    if (state.done && status === InterpreterStatus.Running) {
+      hookListeners.done.forEach(listener => listener(state))
+      service.stop()
+    }
+  }
+
+  const processEvent = event => {
+    const eventObject = toEventObject(event)
+    const previousState = state
+    hookListeners.event.forEach(listener => listener(eventObject))
+    autoForwardedChildren.forEach(child => child.send(event))
+    state = machine.transition(state, event)
+    executeActions(state, eventObject)
+    persister && state.changed && persister.save(state)
+    notify(eventObject, previousState)
+  }
+
+  // Events sent while a macrostep is running, by its actions or listeners,
+  // wait in the queue until that macrostep has run to completion
+  const flush = () => {
+    if (isProcessing) {
+      return
+    }
+
+    isProcessing = true
+
+    try {
+      while (queue.length && status === InterpreterStatus.Running) {
+        queue.shift()()
+      }
+    } finally {
+      isProcessing = false
+      queue.length = 0
+    }
+  }
+
+  const schedule = macrostep => {
+    queue.push(macrostep)
+    flush()
+  }
+
+  // A restored state is resumed rather than replayed, so the actions it was
+  // saved with are left out and the machine works out how to resume it
+  const resume = restoredState => {
+    if (typeof restoredState === 'string' || !('value' in restoredState)) {
+      return machine.resolveState({ value: restoredState })
+    }
+
+    return machine.resolveState({ ...restoredState, actions: undefined })
+  }
+
+  const begin = restoredState => {
+    const isRestored =
+      restoredState !== undefined && restoredState !== machine.initialState
+    state = isRestored ? resume(restoredState) : state
+    status = InterpreterStatus.Running
+    queue.unshift(() => {
+      const eventObject = { type: 'xstate.init' }
+
+      if (isRestored || state === machine.initialState) {
+        executeActions(state, eventObject)
+      }
+
+      notify(eventObject)
+    })
+    flush()
+  }
+
+  const ignore = eventObject => {
+    if (!warn) {
+      return
+    }
+
+    const reason =
+      status === InterpreterStatus.NotStarted
+        ? 'has not started yet'
+        : 'has stopped'
+
+    console.warn(
+      `Service '${id}' ignored event '${eventObject.type}' because it ${reason}`
+    )
+  }
 
   const service = {
+    children,
     currentState: () => state,
+    id,
+    onChange: listener => addListener(hookListeners.change, listener),
+    onDone: listener => addListener(hookListeners.done, listener),
+    onEvent: listener => addListener(hookListeners.event, listener),
+    onSend: listener => addListener(hookListeners.send, listener),
+    onStop: listener => addListener(hookListeners.stop, listener),
+    onTransition: listener => addListener(hookListeners.transition, listener),
+    // A batch of events is queued in order, each one still a macrostep of
+    // its own. Events sent before `start` are either deferred until the
+    // service starts or ignored, like events sent after `stop` always are
     send: event => {
-      if (!isStarted) {
-        return
-      }
-
-      state = machine.transition(state, event)
-      state.actions.forEach(({ exec }) => {
-        exec && exec(state.context, toEventObject(event))
+      toArray(event).forEach(queuedEvent => {
+        if (status === InterpreterStatus.Running && !isRestoring) {
+          schedule(() => processEvent(queuedEvent))
+        } else if (
+          isRestoring ||
+          (status === InterpreterStatus.NotStarted && deferEvents)
+        ) {
+          queue.push(() => processEvent(queuedEvent))
+        } else {
+          ignore(toEventObject(queuedEvent))
+        }
       })
-      listeners.forEach(listener => listener(state))
     },
-    start: () => {
-      isStarted = true
-      listeners.forEach(listener => listener(state))
+    // Without a state to start from, a persisted service starts from its last
+    // snapshot. Events sent while that is being read wait until it is
+    start: restoredState => {
+      if (restoredState === undefined && persister) {
+        status = InterpreterStatus.Running
+        isRestoring = true
+        persister.restore(snapshotState => {
+          isRestoring = false
+
+          if (status !== InterpreterStatus.Running) {
+            return
+          }
+
+          // A snapshot of states the machine no longer has starts the
+          // service from its initial state instead
+          let restoredState
+
+          try {
+            restoredState =
+              snapshotState === undefined ? undefined : resume(snapshotState)
+          } catch (error) {
+            persister.onError(error)
+          }
+
+          begin(restoredState)
+        })
+
+        return service
+      }
+
+      begin(restoredState)
       return service
     },
-    stop: () => {
-      isStarted = false
-      listeners.forEach(listener => listeners.delete(listener))
-      return service
+    get status() {
+      return status
     },
-    subscribe: listener => {
-      listeners.add(listener)
-
-      return {
-        unsubscribe: () => listeners.delete(listener),
+    stop: () => {
+      if (status === InterpreterStatus.Running) {
+        hookListeners.stop.forEach(listener => listener())
       }
+
+      status = InterpreterStatus.Stopped
+      isRestoring = false
+      queue.length = 0
+      persister && persister.flush(state)
+      timers.forEach(timer => clock.clearTimeout(timer))
+      timers.clear()
+      Array.from(runningActivities.keys()).forEach(stopActivity)
+      listeners.clear()
+      Object.keys(hookListeners).forEach(hook => hookListeners[hook].clear())
+      return service
     },
+    subscribe: listener => addListener(listeners, listener),
   }
 
   return service
 }
 
 module.exports = {
+  InterpreterStatus,
   assign,
   createMachine,
+  createMemoryAdapter,
+  createSimulatedClock,
+  createStateNodes,
+  getTargetNode,
   interpret,
+  send,
+  sendParent,
+  toArray,
+  toTransitionObject,
 }
@@ -0,0 +1,2726 @@
+require('jest-extended')
+const {
+  InterpreterStatus,
+  assign,
+  createMachine,
+  createMemoryAdapter,
+  createSimulatedClock,
+  interpret,
+  send,
+  sendParent,
+} = require('./solution')
+const simpleDoor = require('../../challenges/simple-door/solution')
+const smartDoor = require('../../challenges/smart-door/solution')
+const richTextEditor = require('../../challenges/rich-text-editor/solution')
+
+describe('hierarchical states', () => {
+  const simpleDoorMachine = createMachine(simpleDoor.doorMachine.config)
+  const smartDoorMachine = createMachine(smartDoor.doorMachine.config)
+
+  it('should enter the initial states of nested state nodes', () => {
+    expect(simpleDoorMachine.initialState.value).toEqual('locked')
+    expect(simpleDoorMachine.transition('locked', 'UNLOCK').value).toEqual({
+      unlocked: 'closed',
+    })
+    expect(
+      simpleDoorMachine.transition({ unlocked: 'closed' }, 'OPEN').value
+    ).toEqual({ unlocked: { opened: 'deadboltDisengaged' } })
+  })
+
+  it('should accept partial state values', () => {
+    expect(smartDoorMachine.transition('unlocked', 'OPEN').value).toEqual({
+      unlocked: 'opened',
+    })
+    expect(
+      simpleDoorMachine.transition({ unlocked: 'opened' }, 'ENGAGE').value
+    ).toEqual({ unlocked: { opened: 'deadboltEngaged' } })
+  })
+
+  it('should resolve `#id` targets', () => {
+    expect(
+      simpleDoorMachine.transition({ unlocked: 'closed' }, 'LOCK').value
+    ).toEqual('locked')
+    expect(
+      simpleDoorMachine.transition(
+        { unlocked: { opened: 'deadboltDisengaged' } },
+        'CLOSE'
+      ).value
+    ).toEqual({ unlocked: 'closed' })
+    expect(smartDoorMachine.transition('unlocked', 'LOCK').value).toEqual(
+      'locked'
+    )
+  })
+
+  it('should not transition when no state node handles the event', () => {
+    expect(
+      simpleDoorMachine.transition({ unlocked: 'opened' }, 'LOCK').changed
+    ).toEqual(false)
+    expect(
+      simpleDoorMachine.transition(
+        { unlocked: { opened: 'deadboltEngaged' } },
+        'CLOSE'
+      ).changed
+    ).toEqual(false)
+    expect(smartDoorMachine.transition('locked', 'OPEN').changed).toEqual(false)
+  })
+
+  it('should throw an error when given an invalid nested state', () => {
+    expect(() => {
+      simpleDoorMachine.transition({ unlocked: 'ajar' }, 'OPEN')
+    }).toThrow(/does not have a state named 'unlocked.ajar'/)
+  })
+
+  it('should throw an error when a target does not exist', () => {
+    const machine = createMachine({
+      id: 'broken',
+      initial: 'A',
+      states: {
+        A: { on: { GO: 'B' } },
+      },
+    })
+
+    expect(() => machine.transition('A', 'GO')).toThrow(
+      /Machine 'broken' has no state 'B' to transition to from 'A'/
+    )
+  })
+
+  describe('event bubbling', () => {
+    const machine = createMachine({
+      id: 'human',
+      initial: 'awake',
+      states: {
+        awake: {
+          initial: 'sitting',
+          on: { SLEEP: 'asleep', STAND: '.standing' },
+          states: {
+            sitting: {
+              on: { STAND: 'standing', EAT: 'eating' },
+            },
+            standing: {
+              on: { SIT: 'sitting', STAND: undefined },
+            },
+            eating: {
+              on: {
+                SLEEP: { target: 'sitting', cond: () => false },
+              },
+            },
+          },
+        },
+        asleep: {
+          on: { AWAKEN: 'awake' },
+        },
+      },
+    })
+
+    it('should let a parent handle events its children do not', () => {
+      expect(machine.transition({ awake: 'standing' }, 'SLEEP').value).toEqual(
+        'asleep'
+      )
+    })
+
+    it('should bubble when no child transition condition is met', () => {
+      expect(machine.transition({ awake: 'eating' }, 'SLEEP').value).toEqual(
+        'asleep'
+      )
+    })
+
+    it('should prefer the deepest state node handling the event', () => {
+      expect(machine.transition({ awake: 'sitting' }, 'STAND').value).toEqual({
+        awake: 'standing',
+      })
+    })
+
+    it('should not bubble past a child that forbids the event', () => {
+      expect(
+        machine.transition({ awake: 'standing' }, 'STAND').changed
+      ).toEqual(false)
+    })
+
+    it('should tell which transitions an event selects', () => {
+      expect(
+        machine.getSelectedTransitions({ awake: 'eating' }, 'SLEEP')
+      ).toEqual([{ eventType: 'SLEEP', index: 0, source: 'human.awake' }])
+      expect(
+        machine.getSelectedTransitions({ awake: 'standing' }, 'STAND')
+      ).toEqual([])
+    })
+  })
+
+  describe('exit and entry ordering', () => {
+    const calls = []
+    const track = name =>
+      Object.defineProperty(() => calls.push(name), 'name', {
+        value: name,
+      })
+    const machine = createMachine({
+      id: 'door',
+      initial: 'unlocked',
+      entry: track('enterDoor'),
+      states: {
+        locked: {
+          entry: track('enterLocked'),
+          on: { UNLOCK: 'unlocked.opened' },
+        },
+        unlocked: {
+          initial: 'closed',
+          entry: track('enterUnlocked'),
+          exit: track('exitUnlocked'),
+          states: {
+            closed: {
+              entry: track('enterClosed'),
+              exit: track('exitClosed'),
+              on: {
+                LOCK: { target: '#door.locked', actions: track('locking') },
+                KNOCK: { actions: track('knocking') },
+              },
+            },
+            opened: {
+              entry: track('enterOpened'),
+            },
+          },
+        },
+      },
+    })
+    const types = state => state.actions.map(action => action.type)
+
+    it('should run entry actions from the root down on the initial state', () => {
+      expect(types(machine.initialState)).toEqual([
+        'enterDoor',
+        'enterUnlocked',
+        'enterClosed',
+      ])
+    })
+
+    it('should exit the deepest states first and enter parents first', () => {
+      expect(
+        types(machine.transition({ unlocked: 'closed' }, 'LOCK'))
+      ).toEqual(['exitClosed', 'exitUnlocked', 'locking', 'enterLocked'])
+      expect(types(machine.transition('locked', 'UNLOCK'))).toEqual([
+        'enterUnlocked',
+        'enterOpened',
+      ])
+    })
+
+    it('should not exit or enter anything on a targetless transition', () => {
+      expect(
+        types(machine.transition({ unlocked: 'closed' }, 'KNOCK'))
+      ).toEqual(['knocking'])
+    })
+
+    it('should execute the actions in order when interpreted', () => {
+      const service = interpret(machine).start()
+      calls.length = 0
+
+      service.send('LOCK')
+      service.send('UNLOCK')
+
+      expect(service.currentState().value).toEqual({ unlocked: 'opened' })
+      expect(calls).toEqual([
+        'exitClosed',
+        'exitUnlocked',
+        'locking',
+        'enterLocked',
+        'enterUnlocked',
+        'enterOpened',
+      ])
+    })
+  })
+})
+
+describe('parallel states', () => {
+  const richTextMachine = createMachine(richTextEditor.richTextMachine.config)
+  const allDisabled = {
+    bold: 'disabled',
+    italic: 'disabled',
+    underline: 'disabled',
+  }
+
+  it('should be in every region at once', () => {
+    expect(richTextMachine.initialState.value).toEqual(allDisabled)
+  })
+
+  it('should only transition the region handling the event', () => {
+    expect(
+      richTextMachine.transition(allDisabled, 'BOLD_ENABLE').value
+    ).toEqual({ ...allDisabled, bold: 'enabled' })
+    expect(
+      richTextMachine.transition(
+        { ...allDisabled, italic: 'enabled' },
+        'UNDERLINE_ENABLE'
+      ).value
+    ).toEqual({ ...allDisabled, italic: 'enabled', underline: 'enabled' })
+  })
+
+  it('should transition several regions with a single event', () => {
+    expect(
+      richTextMachine.transition(
+        { bold: 'enabled', italic: 'enabled', underline: 'enabled' },
+        'RESET'
+      ).value
+    ).toEqual(allDisabled)
+  })
+
+  describe('transitions into several regions', () => {
+    const createRegion = () => ({
+      initial: 'x',
+      states: { x: {}, y: {} },
+    })
+    const createSwitches = transitions =>
+      createMachine({
+        id: 'switches',
+        type: 'parallel',
+        states: { a: createRegion(), b: createRegion() },
+        on: { E: transitions },
+      })
+
+    it('should transition every region a transition targets', () => {
+      const machine = createSwitches({ target: ['.a.y', '.b.y'] })
+
+      expect(machine.transition(machine.initialState, 'E').value).toEqual({
+        a: 'y',
+        b: 'y',
+      })
+    })
+
+    it('should take the first enabled transition into every region', () => {
+      const machine = createSwitches([
+        { target: '.a.y', cond: () => false },
+        { target: '.b.y' },
+        { target: '.a.y' },
+        { target: '.b.x' },
+      ])
+
+      expect(machine.transition(machine.initialState, 'E').value).toEqual({
+        a: 'y',
+        b: 'y',
+      })
+    })
+  })
+
+  describe('actions', () => {
+    const named = name =>
+      Object.defineProperty(() => {}, 'name', { value: name })
+    const createRegion = name => ({
+      initial: 'off',
+      states: {
+        off: {
+          exit: named(`exit ${name}.off`),
+          on: { TOGGLE: { target: 'on', actions: named(`toggle ${name}`) } },
+        },
+        on: {
+          entry: named(`enter ${name}.on`),
+          on: { [`${name}_OFF`]: 'off' },
+        },
+      },
+    })
+    const machine = createMachine({
+      id: 'switches',
+      initial: 'idle',
+      states: {
+        idle: {
+          on: { POWER: 'powered.b.on' },
+        },
+        powered: {
+          type: 'parallel',
+          entry: named('enter powered'),
+          exit: named('exit powered'),
+          on: { POWER: 'idle' },
+          states: {
+            a: createRegion('a'),
+            b: createRegion('b'),
+            c: createRegion('c'),
+          },
+        },
+      },
+    })
+    const types = state => state.actions.map(action => action.type)
+
+    it('should order actions of every region by document order', () => {
+      const nextState = machine.transition(
+        { powered: { a: 'off', b: 'on', c: 'off' } },
+        'TOGGLE'
+      )
+
+      expect(nextState.value).toEqual({
+        powered: { a: 'on', b: 'on', c: 'on' },
+      })
+      expect(types(nextState)).toEqual([
+        'exit c.off',
+        'exit a.off',
+        'toggle a',
+        'toggle c',
+        'enter a.on',
+        'enter c.on',
+      ])
+    })
+
+    it('should enter the initial state of regions that are not targeted', () => {
+      const nextState = machine.transition('idle', 'POWER')
+
+      expect(nextState.value).toEqual({
+        powered: { a: 'off', b: 'on', c: 'off' },
+      })
+      expect(types(nextState)).toEqual(['enter powered', 'enter b.on'])
+    })
+
+    it('should exit every region when leaving the parallel state node', () => {
+      const nextState = machine.transition(
+        { powered: { a: 'on', b: 'on', c: 'off' } },
+        'POWER'
+      )
+
+      expect(nextState.value).toEqual('idle')
+      expect(types(nextState)).toEqual(['exit c.off', 'exit powered'])
+    })
+
+    it('should leave untouched regions alone', () => {
+      const nextState = machine.transition(
+        { powered: { a: 'on', b: 'on', c: 'on' } },
+        'b_OFF'
+      )
+
+      expect(nextState.value).toEqual({
+        powered: { a: 'on', b: 'off', c: 'on' },
+      })
+      expect(types(nextState)).toEqual([])
+      expect(nextState.changed).toEqual(true)
+    })
+  })
+})
+
+describe('pure transitions', () => {
+  const vendingMachine = createMachine({
+    id: 'vending-machine',
+    initial: 'idle',
+    context: {
+      deposited: 0,
+    },
+    states: {
+      idle: {
+        on: {
+          DEPOSIT_QUARTER: {
+            actions: [
+              assign({
+                deposited: context => context.deposited + 25,
+              }),
+            ],
+          },
+          VEND: {
+            target: 'vending',
+            cond: context => context.deposited >= 100,
+          },
+        },
+      },
+      vending: {
+        entry: assign({ deposited: 0 }),
+        on: {
+          DONE: 'idle',
+        },
+      },
+    },
+  })
+  const sendAll = (state, events) =>
+    events.reduce(vendingMachine.transition, state)
+
+  it('should accumulate context across transitions', () => {
+    const nextState = sendAll(vendingMachine.initialState, [
+      'DEPOSIT_QUARTER',
+      'DEPOSIT_QUARTER',
+      'DEPOSIT_QUARTER',
+    ])
+
+    expect(nextState.value).toEqual('idle')
+    expect(nextState.context).toEqual({ deposited: 75 })
+  })
+
+  it('should evaluate guards against the context of the given state', () => {
+    const underpaid = sendAll(vendingMachine.initialState, [
+      'DEPOSIT_QUARTER',
+      'DEPOSIT_QUARTER',
+      'DEPOSIT_QUARTER',
+      'VEND',
+    ])
+    const paid = sendAll(vendingMachine.initialState, [
+      'DEPOSIT_QUARTER',
+      'DEPOSIT_QUARTER',
+      'DEPOSIT_QUARTER',
+      'DEPOSIT_QUARTER',
+      'VEND',
+    ])
+
+    expect(underpaid.value).toEqual('idle')
+    expect(paid.value).toEqual('vending')
+    expect(paid.context).toEqual({ deposited: 0 })
+  })
+
+  it('should preserve the given context when no transition is taken', () => {
+    const state = { value: 'idle', context: { deposited: 50 } }
+    const nextState = vendingMachine.transition(state, 'DONE')
+
+    expect(nextState.changed).toEqual(false)
+    expect(nextState.context).toEqual({ deposited: 50 })
+  })
+
+  it('should not modify the given state', () => {
+    const state = { value: 'idle', context: { deposited: 50 } }
+
+    expect(
+      vendingMachine.transition(state, 'DEPOSIT_QUARTER').context
+    ).toEqual({ deposited: 75 })
+    expect(
+      vendingMachine.transition(state, 'DEPOSIT_QUARTER').context
+    ).toEqual({ deposited: 75 })
+    expect(state).toEqual({ value: 'idle', context: { deposited: 50 } })
+  })
+
+  it('should fall back to the machine context for bare state values', () => {
+    expect(
+      vendingMachine.transition('idle', 'DEPOSIT_QUARTER').context
+    ).toEqual({ deposited: 25 })
+  })
+})
+
+describe('options', () => {
+  const config = {
+    id: 'light-bulb',
+    initial: 'unlit',
+    context: { toggles: 0 },
+    states: {
+      lit: {
+        entry: ['warmUp'],
+        on: {
+          TOGGLE: {
+            target: 'unlit',
+            actions: ['sendAnalytics', 'countToggle'],
+          },
+        },
+      },
+      unlit: {
+        on: {
+          TOGGLE: {
+            target: 'lit',
+            actions: ['sendAnalytics', 'countToggle'],
+            cond: 'isWorking',
+          },
+        },
+      },
+    },
+  }
+
+  const createOptions = () => ({
+    actions: {
+      countToggle: assign({ toggles: context => context.toggles + 1 }),
+      sendAnalytics: jest.fn(),
+      warmUp: jest.fn(),
+    },
+    guards: {
+      isWorking: (context, event) => !event.broken,
+    },
+  })
+
+  it('should resolve string actions by name', () => {
+    const options = createOptions()
+    const machine = createMachine(config, options)
+    const nextState = machine.transition('unlit', 'TOGGLE')
+
+    expect(nextState.actions).toEqual([
+      { type: 'sendAnalytics', exec: options.actions.sendAnalytics },
+      { type: 'warmUp', exec: options.actions.warmUp },
+    ])
+    expect(nextState.context).toEqual({ toggles: 1 })
+  })
+
+  it('should resolve string guards by name', () => {
+    const machine = createMachine(config, createOptions())
+
+    expect(machine.transition('unlit', 'TOGGLE').value).toEqual('lit')
+    expect(
+      machine.transition('unlit', { type: 'TOGGLE', broken: true }).value
+    ).toEqual('unlit')
+  })
+
+  it('should execute named actions when interpreted', () => {
+    const options = createOptions()
+    const service = interpret(createMachine(config, options)).start()
+
+    service.send('TOGGLE')
+
+    expect(options.actions.sendAnalytics).toHaveBeenCalledWith(
+      { toggles: 1 },
+      { type: 'TOGGLE' }
+    )
+    expect(options.actions.warmUp).toHaveBeenCalledTimes(1)
+  })
+
+  it('should work with configs that went through JSON', () => {
+    const machine = createMachine(
+      JSON.parse(JSON.stringify(config)),
+      createOptions()
+    )
+
+    expect(machine.transition('unlit', 'TOGGLE').context).toEqual({
+      toggles: 1,
+    })
+  })
+
+  it('should throw an error for unknown action names', () => {
+    const machine = createMachine(config, { guards: createOptions().guards })
+
+    expect(() => machine.transition('unlit', 'TOGGLE')).toThrow(
+      /Machine 'light-bulb' does not have an action named 'sendAnalytics'/
+    )
+  })
+
+  it('should throw an error for unknown guard names', () => {
+    const machine = createMachine(config, { actions: createOptions().actions })
+
+    expect(() => machine.transition('unlit', 'TOGGLE')).toThrow(
+      /Machine 'light-bulb' does not have a guard named 'isWorking'/
+    )
+  })
+})
+
+describe('withConfig and withContext', () => {
+  const machine = createMachine(
+    {
+      id: 'counter',
+      initial: 'active',
+      context: { count: 0 },
+      states: {
+        active: {
+          on: {
+            INCREMENT: {
+              actions: ['increment', 'notify'],
+              cond: 'isBelowMax',
+            },
+          },
+        },
+      },
+    },
+    {
+      actions: {
+        increment: assign({ count: context => context.count + 1 }),
+        notify: () => {},
+      },
+      guards: {
+        isBelowMax: context => context.count < 10,
+      },
+    }
+  )
+
+  it('should merge the given options with the original ones', () => {
+    const notify = jest.fn()
+    const service = interpret(machine.withConfig({ actions: { notify } }))
+
+    service.start()
+    service.send('INCREMENT')
+
+    expect(notify).toHaveBeenCalledWith({ count: 1 }, { type: 'INCREMENT' })
+    expect(service.currentState().context).toEqual({ count: 1 })
+  })
+
+  it('should replace the starting context', () => {
+    const nearMax = machine.withContext({ count: 9 })
+
+    expect(nearMax.initialState.context).toEqual({ count: 9 })
+    expect(
+      nearMax.transition(nearMax.initialState, 'INCREMENT').context
+    ).toEqual({ count: 10 })
+    expect(nearMax.transition('active', 'INCREMENT').context).toEqual({
+      count: 10,
+    })
+    expect(
+      nearMax.transition(
+        { value: 'active', context: { count: 10 } },
+        'INCREMENT'
+      ).changed
+    ).toEqual(false)
+  })
+
+  it('should leave the original machine untouched', () => {
+    const guarded = machine
+      .withConfig({ guards: { isBelowMax: () => false } })
+      .withContext({ count: 5 })
+
+    expect(guarded.transition('active', 'INCREMENT').changed).toEqual(false)
+    expect(machine.initialState.context).toEqual({ count: 0 })
+    expect(machine.transition('active', 'INCREMENT').context).toEqual({
+      count: 1,
+    })
+    expect(Object.isFrozen(guarded)).toEqual(true)
+    expect(Object.isFrozen(machine)).toEqual(true)
+  })
+})
+
+describe('strict mode', () => {
+  const config = {
+    id: 'light-bulb',
+    initial: 'unlit',
+    context: { working: true },
+    states: {
+      lit: {
+        on: { TOGGLE: 'unlit', BREAK: 'broken' },
+      },
+      unlit: {
+        on: {
+          TOGGLE: { target: 'lit', cond: context => context.working },
+          BREAK: 'broken',
+        },
+      },
+      broken: {
+        initial: 'sparking',
+        states: {
+          sparking: {},
+        },
+      },
+    },
+  }
+
+  it('should throw an error for events the machine does not know', () => {
+    const machine = createMachine({ ...config, strict: true })
+
+    expect(() => machine.transition('lit', 'TOGGEL')).toThrow(
+      /Machine 'light-bulb' received unknown event 'TOGGEL' in state 'lit'/
+    )
+  })
+
+  it('should throw a different error for events unhandled in the current state', () => {
+    const machine = createMachine({ ...config, strict: true })
+
+    expect(() => machine.transition('broken', 'TOGGLE')).toThrow(
+      /Machine 'light-bulb' cannot handle event 'TOGGLE' in state '{"broken":"sparking"}'. Only other states/
+    )
+  })
+
+  it('should not throw when a handled event is blocked by a guard', () => {
+    const machine = createMachine({ ...config, strict: true })
+    const state = { value: 'unlit', context: { working: false } }
+
+    expect(machine.transition(state, 'TOGGLE').changed).toEqual(false)
+  })
+
+  it('should not throw for events the interpreter sends on its own', async () => {
+    const machine = createMachine({
+      id: 'sm',
+      initial: 'a',
+      strict: true,
+      states: {
+        a: { invoke: { src: () => Promise.resolve() }, on: { NEXT: 'b' } },
+        b: {},
+      },
+    })
+    const service = interpret(machine).start()
+
+    expect(
+      machine.transition('a', 'done.invoke.sm.a:invocation[0]').changed
+    ).toEqual(false)
+    expect(machine.transition('a', 'error.platform.sm.a').changed).toEqual(
+      false
+    )
+    expect(machine.transition('a', 'xstate.after(1000)#sm.a').changed).toEqual(
+      false
+    )
+
+    await new Promise(resolve => setImmediate(resolve))
+
+    expect(service.currentState().value).toEqual('a')
+    service.stop()
+  })
+
+  it('should silently ignore unknown events when not strict', () => {
+    const machine = createMachine(config)
+
+    expect(machine.transition('lit', 'TOGGEL').changed).toEqual(false)
+  })
+})
+
+describe('delayed transitions', () => {
+  const stoplightMachine = createMachine({
+    id: 'stoplight',
+    initial: 'red',
+    states: {
+      green: {
+        after: { 8000: 'yellow' },
+        on: { EMERGENCY: 'red' },
+      },
+      yellow: {
+        after: { 4000: 'red' },
+      },
+      red: {
+        after: [{ delay: 12000, target: 'green' }],
+      },
+    },
+  })
+
+  it('should schedule and cancel delayed events in the returned actions', () => {
+    expect(stoplightMachine.initialState.actions).toEqual([
+      {
+        type: 'xstate.send',
+        delay: 12000,
+        event: { type: 'xstate.after(12000)#stoplight.red' },
+        id: 'xstate.after(12000)#stoplight.red',
+      },
+    ])
+    expect(
+      stoplightMachine
+        .transition('green', 'xstate.after(8000)#stoplight.green')
+        .actions.map(action => action.type)
+    ).toEqual(['xstate.cancel', 'xstate.send'])
+  })
+
+  it('should take transitions once the delay has passed', () => {
+    const clock = createSimulatedClock()
+    const service = interpret(stoplightMachine, { clock }).start()
+
+    clock.increment(11999)
+    expect(service.currentState().value).toEqual('red')
+
+    clock.increment(1)
+    expect(service.currentState().value).toEqual('green')
+
+    clock.increment(8000 + 4000)
+    expect(service.currentState().value).toEqual('red')
+
+    service.stop()
+  })
+
+  it('should cancel the delayed event when the state is exited', () => {
+    const clock = createSimulatedClock()
+    const listener = jest.fn()
+    const service = interpret(stoplightMachine, { clock })
+
+    service.subscribe(listener)
+    service.start()
+    clock.increment(12000)
+    clock.increment(5000)
+    service.send('EMERGENCY')
+    clock.increment(3000)
+
+    expect(service.currentState().value).toEqual('red')
+    expect(listener.mock.calls.map(([state]) => state.value)).toEqual([
+      'red',
+      'green',
+      'red',
+    ])
+
+    service.stop()
+  })
+
+  it('should cancel every delayed event when the service is stopped', () => {
+    const clock = createSimulatedClock()
+    const service = interpret(stoplightMachine, { clock }).start()
+
+    service.stop()
+    clock.increment(12000)
+
+    expect(service.currentState().value).toEqual('red')
+  })
+
+  it('should resolve named delays from options', () => {
+    const clock = createSimulatedClock()
+    const machine = createMachine(
+      {
+        id: 'stoplight',
+        initial: 'green',
+        context: { isRushHour: true },
+        states: {
+          green: { after: { GREEN_DELAY: 'yellow' } },
+          yellow: {},
+        },
+      },
+      {
+        delays: {
+          GREEN_DELAY: context => (context.isRushHour ? 8000 * 2 : 8000),
+        },
+      }
+    )
+    const service = interpret(machine, { clock }).start()
+
+    clock.increment(8000)
+    expect(service.currentState().value).toEqual('green')
+
+    clock.increment(8000)
+    expect(service.currentState().value).toEqual('yellow')
+  })
+
+  it('should use real timers by default', () => {
+    jest.useFakeTimers()
+    const service = interpret(stoplightMachine).start()
+
+    jest.advanceTimersByTime(12000)
+    expect(service.currentState().value).toEqual('green')
+
+    service.stop()
+    jest.useRealTimers()
+  })
+})
+
+describe('transient transitions', () => {
+  const procrastinationMachine = createMachine(
+    {
+      id: 'procrastination',
+      initial: 'idle',
+      context: {
+        attempts: 0,
+      },
+      states: {
+        idle: {
+          on: { TRY_TO_START: 'evaluating' },
+        },
+        evaluating: {
+          entry: 'incrementAttempts',
+          on: {
+            '': [
+              { target: 'working', cond: 'enoughAttempts' },
+              { target: 'idle', actions: 'giveUp' },
+            ],
+          },
+        },
+        working: {},
+      },
+    },
+    {
+      actions: {
+        giveUp: () => {},
+        incrementAttempts: assign({
+          attempts: context => context.attempts + 1,
+        }),
+      },
+      guards: {
+        enoughAttempts: context => context.attempts > 2,
+      },
+    }
+  )
+
+  it('should keep transitioning until the machine settles', () => {
+    const once = procrastinationMachine.transition(
+      procrastinationMachine.initialState,
+      'TRY_TO_START'
+    )
+    const twice = procrastinationMachine.transition(once, 'TRY_TO_START')
+    const thrice = procrastinationMachine.transition(twice, 'TRY_TO_START')
+
+    expect(once.value).toEqual('idle')
+    expect(once.context).toEqual({ attempts: 1 })
+    expect(once.changed).toEqual(true)
+    expect(once.actions.map(action => action.type)).toEqual(['giveUp'])
+    expect(twice.value).toEqual('idle')
+    expect(thrice.value).toEqual('working')
+    expect(thrice.context).toEqual({ attempts: 3 })
+    expect(thrice.actions).toEqual([])
+  })
+
+  it('should settle the initial state too', () => {
+    const machine = createMachine({
+      id: 'router',
+      initial: 'routing',
+      context: { isLoggedIn: true },
+      states: {
+        routing: {
+          always: [
+            { target: 'dashboard', cond: context => context.isLoggedIn },
+            { target: 'login' },
+          ],
+        },
+        dashboard: {},
+        login: {},
+      },
+    })
+
+    expect(machine.initialState.value).toEqual('dashboard')
+    expect(
+      machine.withContext({ isLoggedIn: false }).initialState.value
+    ).toEqual('login')
+  })
+
+  it('should accumulate actions from every hop', () => {
+    const named = name =>
+      Object.defineProperty(() => {}, 'name', { value: name })
+    const machine = createMachine({
+      id: 'hops',
+      initial: 'A',
+      context: { hops: 0 },
+      states: {
+        A: { on: { GO: { target: 'B', actions: named('go') } } },
+        B: {
+          entry: named('enterB'),
+          always: {
+            target: 'C',
+            actions: [named('hop'), assign({ hops: c => c.hops + 1 })],
+          },
+        },
+        C: {
+          entry: named('enterC'),
+          always: {
+            target: 'D',
+            actions: [named('hop'), assign({ hops: c => c.hops + 1 })],
+          },
+        },
+        D: {},
+      },
+    })
+    const nextState = machine.transition('A', 'GO')
+
+    expect(nextState.value).toEqual('D')
+    expect(nextState.context).toEqual({ hops: 2 })
+    expect(nextState.actions.map(action => action.type)).toEqual([
+      'go',
+      'enterB',
+      'hop',
+      'enterC',
+      'hop',
+    ])
+  })
+
+  it('should throw an error when transient transitions never settle', () => {
+    const machine = createMachine({
+      id: 'ping-pong',
+      initial: 'idle',
+      states: {
+        idle: { on: { SERVE: 'ping' } },
+        ping: { always: 'pong' },
+        pong: { always: 'ping' },
+      },
+    })
+
+    expect(() => machine.transition('idle', 'SERVE')).toThrow(
+      /Machine 'ping-pong' took 1000 transient transitions in a row without settling/
+    )
+  })
+})
+
+describe('activities', () => {
+  const createAlarmClock = beeping =>
+    createMachine(
+      {
+        id: 'alarmClock',
+        initial: 'idle',
+        states: {
+          idle: {
+            on: { ALARM: 'alarming' },
+          },
+          alarming: {
+            activities: ['beeping'],
+            on: { STOP: 'idle', SNOOZE: 'alarming' },
+          },
+        },
+      },
+      {
+        activities: { beeping },
+      }
+    )
+
+  it('should expose the running activities on the state object', () => {
+    const machine = createAlarmClock(() => {})
+    const alarming = machine.transition('idle', 'ALARM')
+
+    expect(machine.initialState.activities).toEqual({})
+    expect(alarming.activities).toEqual({ beeping: true })
+    expect(machine.transition(alarming, 'STOP').activities).toEqual({})
+    expect(machine.transition(alarming, 'UNKNOWN').activities).toEqual({
+      beeping: true,
+    })
+  })
+
+  it('should start activities on entry and dispose them on exit', () => {
+    const dispose = jest.fn()
+    const beeping = jest.fn(() => dispose)
+    const service = interpret(createAlarmClock(beeping)).start()
+
+    service.send('ALARM')
+    expect(beeping).toHaveBeenCalledTimes(1)
+    expect(beeping).toHaveBeenCalledWith(undefined, { type: 'ALARM' })
+    expect(dispose).not.toHaveBeenCalled()
+
+    service.send('STOP')
+    expect(dispose).toHaveBeenCalledTimes(1)
+  })
+
+  it('should restart activities when their state is re-entered', () => {
+    const calls = []
+    const beeping = () => {
+      calls.push('start')
+      return () => calls.push('dispose')
+    }
+    const service = interpret(createAlarmClock(beeping)).start()
+
+    service.send('ALARM')
+    service.send('SNOOZE')
+
+    expect(calls).toEqual(['start', 'dispose', 'start'])
+  })
+
+  it('should dispose running activities when the service stops', () => {
+    const dispose = jest.fn()
+    const machine = createMachine({
+      id: 'ticker',
+      initial: 'ticking',
+      states: {
+        ticking: {
+          activities: [
+            function tick() {
+              return dispose
+            },
+          ],
+        },
+      },
+    })
+    const service = interpret(machine).start()
+
+    expect(machine.initialState.activities).toEqual({ tick: true })
+
+    service.stop()
+    expect(dispose).toHaveBeenCalledTimes(1)
+  })
+
+  it('should throw an error for unknown activity names', () => {
+    const machine = createAlarmClock(undefined)
+
+    expect(() => machine.transition('idle', 'ALARM')).toThrow(
+      /Machine 'alarmClock' does not have an activity named 'beeping'/
+    )
+  })
+})
+
+describe('invoked promises', () => {
+  const flushPromises = () => new Promise(resolve => setImmediate(resolve))
+  const createDeferred = () => {
+    const deferred = {}
+    deferred.promise = new Promise((resolve, reject) => {
+      deferred.resolve = resolve
+      deferred.reject = reject
+    })
+    return deferred
+  }
+  const createCuteAnimalMachine = fetchCuteAnimals =>
+    createMachine(
+      {
+        id: 'cuteAnimals',
+        initial: 'idle',
+        context: {
+          cuteAnimals: null,
+          error: null,
+        },
+        states: {
+          idle: {
+            on: { FETCH: 'loading' },
+          },
+          loading: {
+            invoke: {
+              id: 'fetchCuteAnimals',
+              src: 'fetchCuteAnimals',
+              onDone: {
+                target: 'success',
+                actions: assign({
+                  cuteAnimals: (context, event) => event.data,
+                }),
+              },
+              onError: {
+                target: 'failure',
+                actions: assign({ error: (context, event) => event.data }),
+              },
+            },
+            on: { CANCEL: 'idle' },
+          },
+          success: {},
+          failure: {
+            on: { RETRY: 'loading' },
+          },
+        },
+      },
+      {
+        services: { fetchCuteAnimals },
+      }
+    )
+
+  it('should take the onDone transition when the promise resolves', async () => {
+    const fetchCuteAnimals = jest.fn(() => Promise.resolve(['otter']))
+    const service = interpret(createCuteAnimalMachine(fetchCuteAnimals))
+
+    service.start()
+    service.send('FETCH')
+    expect(service.currentState().activities).toEqual({
+      fetchCuteAnimals: true,
+    })
+    await flushPromises()
+
+    expect(fetchCuteAnimals).toHaveBeenCalledWith(
+      { cuteAnimals: null, error: null },
+      { type: 'FETCH' }
+    )
+    expect(service.currentState().value).toEqual('success')
+    expect(service.currentState().context.cuteAnimals).toEqual(['otter'])
+  })
+
+  it('should take the onError transition when the promise rejects', async () => {
+    const error = new Error('Too cute')
+    const service = interpret(
+      createCuteAnimalMachine(() => Promise.reject(error))
+    ).start()
+
+    service.send('FETCH')
+    await flushPromises()
+
+    expect(service.currentState().value).toEqual('failure')
+    expect(service.currentState().context.error).toBe(error)
+  })
+
+  it('should take transitions on the generated events like any other', () => {
+    const machine = createCuteAnimalMachine(() => {})
+
+    expect(
+      machine.transition('loading', {
+        type: 'done.invoke.fetchCuteAnimals',
+        data: ['otter'],
+      }).context.cuteAnimals
+    ).toEqual(['otter'])
+    expect(
+      machine.transition('loading', {
+        type: 'error.platform.fetchCuteAnimals',
+        data: 'oops',
+      }).context.error
+    ).toEqual('oops')
+  })
+
+  it('should ignore the result once the invoking state is exited', async () => {
+    const deferred = createDeferred()
+    const service = interpret(
+      createCuteAnimalMachine(() => deferred.promise)
+    ).start()
+
+    service.send('FETCH')
+    service.send('CANCEL')
+    deferred.resolve(['otter'])
+    await flushPromises()
+
+    expect(service.currentState().value).toEqual('idle')
+    expect(service.currentState().context.cuteAnimals).toEqual(null)
+  })
+
+  it('should ignore the result once the service is stopped', async () => {
+    const deferred = createDeferred()
+    const service = interpret(
+      createCuteAnimalMachine(() => deferred.promise)
+    ).start()
+
+    service.send('FETCH')
+    service.stop()
+    deferred.reject(new Error('Too late'))
+    await flushPromises()
+
+    expect(service.currentState().value).toEqual('loading')
+  })
+
+  it('should only deliver the result of the latest invocation', async () => {
+    const first = createDeferred()
+    const second = createDeferred()
+    const fetchCuteAnimals = jest
+      .fn()
+      .mockReturnValueOnce(first.promise)
+      .mockReturnValueOnce(second.promise)
+    const service = interpret(createCuteAnimalMachine(fetchCuteAnimals)).start()
+
+    service.send('FETCH')
+    service.send('CANCEL')
+    service.send('FETCH')
+    first.resolve(['stale otter'])
+    await flushPromises()
+    expect(service.currentState().value).toEqual('loading')
+
+    second.resolve(['fresh otter'])
+    await flushPromises()
+    expect(service.currentState().context.cuteAnimals).toEqual(['fresh otter'])
+  })
+
+  it('should throw an error for unknown service names', () => {
+    const machine = createCuteAnimalMachine(undefined)
+
+    expect(() => machine.transition('idle', 'FETCH')).toThrow(
+      /Machine 'cuteAnimals' does not have a service named 'fetchCuteAnimals'/
+    )
+  })
+})
+
+describe('invoked machines', () => {
+  const minuteMachine = createMachine({
+    id: 'timer',
+    initial: 'active',
+    states: {
+      active: {
+        after: { 60000: 'finished' },
+      },
+      finished: { type: 'final' },
+    },
+  })
+
+  it('should take the onDone transition when the child reaches a final state', () => {
+    const clock = createSimulatedClock()
+    const parentMachine = createMachine({
+      id: 'parent',
+      initial: 'pending',
+      states: {
+        pending: {
+          invoke: { id: 'timer', src: minuteMachine, onDone: 'timesUp' },
+        },
+        timesUp: { type: 'final' },
+      },
+    })
+    const service = interpret(parentMachine, { clock }).start()
+
+    expect(service.children.get('timer').currentState().value).toEqual('active')
+
+    clock.increment(60000)
+    expect(service.currentState().value).toEqual('timesUp')
+    expect(service.currentState().done).toEqual(true)
+    expect(service.children.size).toEqual(0)
+  })
+
+  describe('messaging', () => {
+    const pongMachine = createMachine({
+      id: 'pong',
+      initial: 'waiting',
+      context: { pongs: 0 },
+      states: {
+        waiting: {
+          on: {
+            PING: {
+              actions: [
+                assign({ pongs: context => context.pongs + 1 }),
+                sendParent(context => ({ type: 'PONG', pongs: context.pongs })),
+              ],
+            },
+          },
+        },
+      },
+    })
+    const pingMachine = createMachine({
+      id: 'ping',
+      initial: 'idle',
+      context: { lastPongs: 0 },
+      states: {
+        idle: {
+          on: { START: 'playing' },
+        },
+        playing: {
+          invoke: { id: 'pong', src: 'pong' },
+          on: {
+            HIT: { actions: send('PING', { to: 'pong' }) },
+            PONG: {
+              actions: assign({ lastPongs: (context, event) => event.pongs }),
+            },
+            STOP: 'idle',
+          },
+        },
+      },
+    })
+
+    it('should send events between parent and child', () => {
+      const service = interpret(
+        pingMachine.withConfig({ services: { pong: pongMachine } })
+      ).start()
+
+      service.send('START')
+      service.send('HIT')
+      service.send('HIT')
+
+      expect(service.currentState().context.lastPongs).toEqual(2)
+      expect(service.children.get('pong').currentState().context.pongs).toEqual(
+        2
+      )
+    })
+
+    it('should stop the child when the parent leaves the invoking state', () => {
+      const service = interpret(
+        pingMachine.withConfig({ services: { pong: pongMachine } })
+      ).start()
+
+      service.send('START')
+      const child = service.children.get('pong')
+      service.send('STOP')
+      child.send('PING')
+
+      expect(service.children.has('pong')).toEqual(false)
+      expect(child.currentState().context.pongs).toEqual(0)
+      expect(() => service.send('HIT')).not.toThrow()
+    })
+
+    it('should throw an error when sending to a service that does not exist', () => {
+      const lonelyService = interpret(
+        createMachine({
+          id: 'lonely',
+          initial: 'idle',
+          states: {
+            idle: { on: { HIT: { actions: send('PING', { to: 'pong' }) } } },
+          },
+        })
+      ).start()
+
+      expect(() => lonelyService.send('HIT')).toThrow(
+        /Service 'lonely' cannot send event 'PING' to 'pong'/
+      )
+    })
+  })
+
+  it('should map the parent context onto the child context with `data`', () => {
+    const counterMachine = createMachine({
+      id: 'counter',
+      initial: 'counting',
+      context: { count: 0, step: 1 },
+      states: { counting: {} },
+    })
+    const parentMachine = createMachine({
+      id: 'parent',
+      initial: 'idle',
+      context: { start: 10 },
+      states: {
+        idle: { on: { LAUNCH: 'active' } },
+        active: {
+          invoke: {
+            id: 'counter',
+            src: counterMachine,
+            data: { count: (context, event) => context.start + event.offset },
+          },
+        },
+      },
+    })
+    const service = interpret(parentMachine).start()
+
+    service.send({ type: 'LAUNCH', offset: 5 })
+
+    expect(service.children.get('counter').currentState().context).toEqual({
+      count: 15,
+      step: 1,
+    })
+  })
+
+  it('should forward every event to the child with `autoForward`', () => {
+    const childMachine = createMachine({
+      id: 'echo',
+      initial: 'listening',
+      context: { heard: [] },
+      states: {
+        listening: {
+          on: {
+            SHOUT: {
+              actions: assign({
+                heard: (context, event) => context.heard.concat(event.word),
+              }),
+            },
+          },
+        },
+      },
+    })
+    const createParent = autoForward =>
+      createMachine({
+        id: 'parent',
+        initial: 'active',
+        states: {
+          active: {
+            invoke: { id: 'echo', src: childMachine, autoForward },
+          },
+        },
+      })
+    const forwarding = interpret(createParent(true)).start()
+    const silent = interpret(createParent(false)).start()
+
+    forwarding.send({ type: 'SHOUT', word: 'hello' })
+    silent.send({ type: 'SHOUT', word: 'hello' })
+
+    expect(
+      forwarding.children.get('echo').currentState().context.heard
+    ).toEqual(['hello'])
+    expect(silent.children.get('echo').currentState().context.heard).toEqual([])
+  })
+})
+
+describe('invoked callbacks and observables', () => {
+  const createEchoMachine = echoCallback =>
+    createMachine({
+      id: 'echo',
+      initial: 'idle',
+      context: { echoes: 0 },
+      states: {
+        idle: {
+          on: { ACTIVATE: 'active' },
+        },
+        active: {
+          invoke: { id: 'echoCallback', src: () => echoCallback },
+          on: {
+            STOP: 'idle',
+            YELL: { actions: send('YELL', { to: 'echoCallback' }) },
+            ECHO: {
+              actions: assign({ echoes: context => context.echoes + 1 }),
+            },
+          },
+        },
+      },
+    })
+
+  it('should route callback events to the parent and parent events to the callback', () => {
+    const received = []
+    const service = interpret(
+      createEchoMachine((callback, onReceive) => {
+        onReceive(event => {
+          received.push(event)
+          callback('ECHO')
+        })
+      })
+    ).start()
+
+    service.send('ACTIVATE')
+    service.send('YELL')
+    service.send('YELL')
+
+    expect(received).toEqual([{ type: 'YELL' }, { type: 'YELL' }])
+    expect(service.currentState().context.echoes).toEqual(2)
+  })
+
+  it('should clean up the callback handler when its state is exited', () => {
+    const cleanup = jest.fn()
+    let sendToParent
+    const service = interpret(
+      createEchoMachine(callback => {
+        sendToParent = callback
+        return cleanup
+      })
+    ).start()
+
+    service.send('ACTIVATE')
+    sendToParent('ECHO')
+    service.send('STOP')
+    sendToParent('ECHO')
+
+    expect(cleanup).toHaveBeenCalledTimes(1)
+    expect(service.currentState().context.echoes).toEqual(1)
+    expect(service.children.size).toEqual(0)
+  })
+
+  describe('observables', () => {
+    const createSubject = () => {
+      const observers = new Set()
+      const unsubscribe = jest.fn()
+
+      return {
+        emit: method => value =>
+          observers.forEach(observer => observer[method](value)),
+        subscribe: observer => {
+          observers.add(observer)
+          return {
+            unsubscribe: () => {
+              unsubscribe()
+              observers.delete(observer)
+            },
+          }
+        },
+        unsubscribe,
+      }
+    }
+    const createIntervalMachine = subject =>
+      createMachine({
+        id: 'interval',
+        initial: 'counting',
+        context: { count: 0, error: null },
+        states: {
+          counting: {
+            invoke: {
+              id: 'ticks',
+              src: () => subject,
+              onDone: 'finished',
+              onError: {
+                target: 'finished',
+                actions: assign({ error: (context, event) => event.data }),
+              },
+            },
+            on: {
+              COUNT: {
+                actions: assign({ count: (context, event) => event.value }),
+              },
+              CANCEL: 'finished',
+            },
+          },
+          finished: { type: 'final' },
+        },
+      })
+
+    it('should send every emitted event to the parent', () => {
+      const subject = createSubject()
+      const service = interpret(createIntervalMachine(subject)).start()
+
+      subject.emit('next')({ type: 'COUNT', value: 1 })
+      subject.emit('next')({ type: 'COUNT', value: 2 })
+
+      expect(service.currentState().context.count).toEqual(2)
+    })
+
+    it('should take the onDone transition when the observable completes', () => {
+      const subject = createSubject()
+      const service = interpret(createIntervalMachine(subject)).start()
+
+      subject.emit('complete')()
+
+      expect(service.currentState().value).toEqual('finished')
+    })
+
+    it('should take the onError transition when the observable errors', () => {
+      const subject = createSubject()
+      const service = interpret(createIntervalMachine(subject)).start()
+
+      subject.emit('error')('broken')
+
+      expect(service.currentState().value).toEqual('finished')
+      expect(service.currentState().context.error).toEqual('broken')
+    })
+
+    it('should unsubscribe when its state is exited', () => {
+      const subject = createSubject()
+      const service = interpret(createIntervalMachine(subject)).start()
+
+      service.send('CANCEL')
+      subject.emit('next')({ type: 'COUNT', value: 1 })
+
+      expect(subject.unsubscribe).toHaveBeenCalledTimes(1)
+      expect(service.currentState().context.count).toEqual(0)
+    })
+  })
+})
+
+describe('history states', () => {
+  const spaceHeaterMachine = createMachine({
+    id: 'spaceHeater',
+    initial: 'poweredOff',
+    states: {
+      poweredOff: {
+        on: { TOGGLE_POWER: 'poweredOn.hist' },
+      },
+      poweredOn: {
+        initial: 'low',
+        states: {
+          low: {
+            on: { TOGGLE_LEVEL: 'high' },
+          },
+          high: {
+            initial: 'steady',
+            states: {
+              steady: { on: { BOOST: 'boosted' } },
+              boosted: {},
+            },
+            on: { TOGGLE_LEVEL: 'low' },
+          },
+          hist: {
+            type: 'history',
+          },
+          deepHist: {
+            type: 'history',
+            history: 'deep',
+          },
+        },
+        on: { TOGGLE_POWER: 'poweredOff', RESUME: 'poweredOff' },
+      },
+    },
+  })
+  const sendAll = (machine, state, events) =>
+    events.reduce(machine.transition, state)
+
+  it('should enter the initial state when there is no history yet', () => {
+    const nextState = spaceHeaterMachine.transition(
+      spaceHeaterMachine.initialState,
+      'TOGGLE_POWER'
+    )
+
+    expect(nextState.value).toEqual({ poweredOn: 'low' })
+    expect(spaceHeaterMachine.initialState).not.toHaveProperty('history')
+  })
+
+  it('should remember the last child state with shallow history', () => {
+    const nextState = sendAll(
+      spaceHeaterMachine,
+      spaceHeaterMachine.initialState,
+      ['TOGGLE_POWER', 'TOGGLE_LEVEL', 'BOOST', 'TOGGLE_POWER']
+    )
+
+    expect(nextState.value).toEqual('poweredOff')
+    expect(nextState.history).toEqual({
+      'spaceHeater.poweredOn.hist': 'high',
+      'spaceHeater.poweredOn.deepHist': { high: 'boosted' },
+    })
+    expect(
+      spaceHeaterMachine.transition(nextState, 'TOGGLE_POWER').value
+    ).toEqual({ poweredOn: { high: 'steady' } })
+  })
+
+  it('should remember every descendant state with deep history', () => {
+    const machine = createMachine({
+      ...spaceHeaterMachine.config,
+      states: {
+        ...spaceHeaterMachine.config.states,
+        poweredOff: { on: { TOGGLE_POWER: 'poweredOn.deepHist' } },
+      },
+    })
+    const nextState = sendAll(machine, machine.initialState, [
+      'TOGGLE_POWER',
+      'TOGGLE_LEVEL',
+      'BOOST',
+      'TOGGLE_POWER',
+      'TOGGLE_POWER',
+    ])
+
+    expect(nextState.value).toEqual({ poweredOn: { high: 'boosted' } })
+  })
+
+  it('should keep history on the state object so transition stays pure', () => {
+    const poweredOff = { value: 'poweredOff', history: {} }
+    const remembered = {
+      value: 'poweredOff',
+      history: { 'spaceHeater.poweredOn.hist': 'high' },
+    }
+
+    expect(
+      spaceHeaterMachine.transition(poweredOff, 'TOGGLE_POWER').value
+    ).toEqual({ poweredOn: 'low' })
+    expect(
+      spaceHeaterMachine.transition(remembered, 'TOGGLE_POWER').value
+    ).toEqual({ poweredOn: { high: 'steady' } })
+    expect(
+      spaceHeaterMachine.transition(remembered, 'UNKNOWN').history
+    ).toEqual(remembered.history)
+  })
+
+  it('should fall back to the history target when there is no history', () => {
+    const machine = createMachine({
+      id: 'player',
+      initial: 'stopped',
+      states: {
+        stopped: { on: { PLAY: 'playing.hist' } },
+        playing: {
+          initial: 'intro',
+          states: {
+            intro: { on: { NEXT: 'chorus' } },
+            chorus: {},
+            hist: { type: 'history', target: 'chorus' },
+          },
+          on: { STOP: 'stopped' },
+        },
+      },
+    })
+
+    expect(machine.transition('stopped', 'PLAY').value).toEqual({
+      playing: 'chorus',
+    })
+  })
+
+  it('should restore every region of a parallel state node with deep history', () => {
+    const machine = createMachine({
+      id: 'spaceHeater',
+      initial: 'poweredOff',
+      states: {
+        poweredOff: {
+          on: { TOGGLE_POWER: 'poweredOn.hist' },
+        },
+        poweredOn: {
+          type: 'parallel',
+          states: {
+            level: {
+              initial: 'low',
+              states: {
+                low: { on: { TOGGLE_LEVEL: 'high' } },
+                high: { on: { TOGGLE_LEVEL: 'low' } },
+              },
+            },
+            oscillation: {
+              initial: 'disabled',
+              states: {
+                disabled: { on: { TOGGLE_OSCILLATION: 'enabled' } },
+                enabled: { on: { TOGGLE_OSCILLATION: 'disabled' } },
+              },
+            },
+            hist: {
+              type: 'history',
+              history: 'deep',
+            },
+          },
+          on: { TOGGLE_POWER: 'poweredOff' },
+        },
+      },
+    })
+    const poweredOn = machine.transition(machine.initialState, 'TOGGLE_POWER')
+    const nextState = sendAll(machine, poweredOn, [
+      'TOGGLE_LEVEL',
+      'TOGGLE_OSCILLATION',
+      'TOGGLE_POWER',
+      'TOGGLE_POWER',
+    ])
+
+    expect(poweredOn.value).toEqual({
+      poweredOn: { level: 'low', oscillation: 'disabled' },
+    })
+    expect(nextState.value).toEqual({
+      poweredOn: { level: 'high', oscillation: 'enabled' },
+    })
+  })
+})
+
+describe('final states', () => {
+  const checkoutMachine = createMachine({
+    id: 'checkout',
+    initial: 'cart',
+    states: {
+      cart: {
+        on: { CHECKOUT: 'payment' },
+      },
+      payment: {
+        initial: 'method',
+        states: {
+          method: { on: { PAY: 'paid' } },
+          paid: { type: 'final' },
+        },
+        onDone: 'confirmed',
+      },
+      confirmed: {
+        on: { CLOSE: 'closed' },
+      },
+      closed: { type: 'final' },
+    },
+  })
+  const onboardingMachine = createMachine({
+    id: 'onboarding',
+    initial: 'steps',
+    states: {
+      steps: {
+        type: 'parallel',
+        states: {
+          profile: {
+            initial: 'editing',
+            states: {
+              editing: { on: { SAVE_PROFILE: 'saved' } },
+              saved: { type: 'final' },
+            },
+          },
+          tutorial: {
+            initial: 'watching',
+            states: {
+              watching: { on: { SKIP_TUTORIAL: 'skipped' } },
+              skipped: { type: 'final' },
+            },
+          },
+        },
+        onDone: 'welcome',
+      },
+      welcome: {},
+    },
+  })
+  const sendAll = (machine, state, events) =>
+    events.reduce(machine.transition, state)
+
+  it('should take the onDone transition once a final child state is reached', () => {
+    const nextState = sendAll(checkoutMachine, checkoutMachine.initialState, [
+      'CHECKOUT',
+      'PAY',
+    ])
+
+    expect(nextState.value).toEqual('confirmed')
+    expect(nextState.done).toEqual(false)
+  })
+
+  it('should raise a done.state event with the id of the done state node', () => {
+    const events = []
+    const machine = createMachine({
+      ...checkoutMachine.config,
+      states: {
+        ...checkoutMachine.config.states,
+        payment: {
+          ...checkoutMachine.config.states.payment,
+          onDone: {
+            target: 'confirmed',
+            cond: (context, event) => events.push(event.type) > 0,
+          },
+        },
+      },
+    })
+
+    expect(machine.transition('payment', 'PAY').value).toEqual('confirmed')
+    expect(events).toEqual(['done.state.checkout.payment'])
+  })
+
+  it('should be done once every region of a parallel state node is done', () => {
+    const profileSaved = onboardingMachine.transition(
+      onboardingMachine.initialState,
+      'SAVE_PROFILE'
+    )
+
+    expect(profileSaved.value).toEqual({
+      steps: { profile: 'saved', tutorial: 'watching' },
+    })
+    expect(
+      onboardingMachine.transition(profileSaved, 'SKIP_TUTORIAL').value
+    ).toEqual('welcome')
+  })
+
+  it('should mark the state as done when a top-level final state is reached', () => {
+    const nextState = sendAll(checkoutMachine, 'confirmed', ['CLOSE'])
+
+    expect(checkoutMachine.initialState.done).toEqual(false)
+    expect(nextState.value).toEqual('closed')
+    expect(nextState.done).toEqual(true)
+  })
+
+  describe('interpreter', () => {
+    it('should call onDone listeners once and stop processing events', () => {
+      const onDone = jest.fn()
+      const listener = jest.fn()
+      const service = interpret(checkoutMachine)
+
+      service.onDone(onDone)
+      service.subscribe(listener)
+      service.start()
+      ;['CHECKOUT', 'PAY', 'CLOSE', 'CHECKOUT'].forEach(service.send)
+
+      expect(onDone).toHaveBeenCalledTimes(1)
+      expect(onDone).toHaveBeenCalledWith(
+        expect.objectContaining({ value: 'closed', done: true })
+      )
+      expect(listener).toHaveBeenCalledTimes(4)
+      expect(service.currentState().value).toEqual('closed')
+    })
+
+    it('should not call onDone listeners that have unsubscribed', () => {
+      const onDone = jest.fn()
+      const service = interpret(checkoutMachine).start()
+
+      service.onDone(onDone).unsubscribe()
+      ;['CHECKOUT', 'PAY', 'CLOSE'].forEach(service.send)
+
+      expect(service.currentState().done).toEqual(true)
+      expect(onDone).not.toHaveBeenCalled()
+    })
+  })
+})
+
+describe('interpreter hooks', () => {
+  const counterMachine = createMachine({
+    id: 'counter',
+    initial: 'counting',
+    context: { count: 0 },
+    states: {
+      counting: {
+        on: {
+          INCREMENT: {
+            actions: [
+              assign({ count: context => context.count + 1 }),
+              send('LOGGED'),
+            ],
+          },
+          LOGGED: {},
+          NOOP: {},
+          FINISH: 'finished',
+        },
+      },
+      finished: { type: 'final' },
+    },
+  })
+
+  it('should call onTransition listeners with the state and the event', () => {
+    const onTransition = jest.fn()
+    const service = interpret(counterMachine)
+
+    service.onTransition(onTransition)
+    service.start()
+    service.send('NOOP')
+
+    expect(onTransition.mock.calls).toEqual([
+      [counterMachine.initialState, { type: 'xstate.init' }],
+      [service.currentState(), { type: 'NOOP' }],
+    ])
+  })
+
+  it('should call onEvent listeners with every event received', () => {
+    const onEvent = jest.fn()
+    const service = interpret(counterMachine).start()
+
+    service.onEvent(onEvent)
+    service.send('INCREMENT')
+    service.send({ type: 'UNKNOWN' })
+
+    expect(onEvent.mock.calls).toEqual([
+      [{ type: 'INCREMENT' }],
+      [{ type: 'LOGGED' }],
+      [{ type: 'UNKNOWN' }],
+    ])
+  })
+
+  it('should call onChange listeners when the context changes', () => {
+    const onChange = jest.fn()
+    const service = interpret(counterMachine).start()
+
+    service.onChange(onChange)
+    ;['NOOP', 'INCREMENT', 'NOOP'].forEach(service.send)
+
+    expect(onChange).toHaveBeenCalledTimes(1)
+    expect(onChange).toHaveBeenCalledWith({ count: 1 }, { count: 0 })
+  })
+
+  it('should call onSend listeners with the events sent by actions', () => {
+    const onSend = jest.fn()
+    const service = interpret(counterMachine).start()
+
+    service.onSend(onSend)
+    service.send('INCREMENT')
+
+    expect(onSend.mock.calls).toEqual([[{ type: 'LOGGED' }, undefined]])
+  })
+
+  it('should call onStop listeners once the service stops', () => {
+    const onStop = jest.fn()
+    const service = interpret(counterMachine).start()
+
+    service.onStop(onStop)
+    service.send('FINISH')
+    service.stop()
+
+    expect(onStop).toHaveBeenCalledTimes(1)
+    expect(onStop).toHaveBeenCalledWith()
+  })
+
+  it('should not call listeners that have been disposed of', () => {
+    const listener = jest.fn()
+    const service = interpret(counterMachine).start()
+    const handles = [
+      service.onChange(listener),
+      service.onEvent(listener),
+      service.onSend(listener),
+      service.onStop(listener),
+      service.onTransition(listener),
+    ]
+
+    handles.forEach(handle => handle.unsubscribe())
+    service.send('INCREMENT')
+    service.stop()
+
+    expect(listener).not.toHaveBeenCalled()
+  })
+})
+
+describe('event queue', () => {
+  const wizardMachine = createMachine({
+    id: 'wizard',
+    initial: 'first',
+    states: {
+      first: {
+        on: { NEXT: 'second' },
+      },
+      second: {
+        entry: send('NEXT'),
+        on: { NEXT: 'third' },
+      },
+      third: {
+        on: { NEXT: 'first', BACK: 'second' },
+      },
+    },
+  })
+
+  it('should notify listeners of an event before the events its actions send', () => {
+    const values = []
+    const service = interpret(wizardMachine)
+
+    service.subscribe(state => values.push(state.value))
+    service.start()
+    service.send('NEXT')
+
+    expect(values).toEqual(['first', 'second', 'third'])
+  })
+
+  it('should queue events sent by listeners until every listener is notified', () => {
+    const calls = []
+    const service = interpret(wizardMachine).start()
+
+    service.subscribe(state => {
+      calls.push(`first listener: ${state.value}`)
+      calls.length === 3 && service.send('BACK')
+    })
+    service.subscribe(state => calls.push(`second listener: ${state.value}`))
+    service.send('NEXT')
+
+    expect(calls).toEqual([
+      'first listener: second',
+      'second listener: second',
+      'first listener: third',
+      'second listener: third',
+      'first listener: second',
+      'second listener: second',
+      'first listener: third',
+      'second listener: third',
+    ])
+  })
+
+  it('should process a batch of events in order, one at a time', () => {
+    const onTransition = jest.fn()
+    const service = interpret(wizardMachine).start()
+
+    service.onTransition(onTransition)
+    service.send(['NEXT', 'NEXT', { type: 'NEXT' }])
+
+    expect(
+      onTransition.mock.calls.map(([state, event]) => [state.value, event.type])
+    ).toEqual([
+      ['second', 'NEXT'],
+      ['third', 'NEXT'],
+      ['first', 'NEXT'],
+      ['second', 'NEXT'],
+      ['third', 'NEXT'],
+    ])
+  })
+
+  it('should drop queued events once the service is stopped', () => {
+    const service = interpret(wizardMachine).start()
+
+    service.subscribe(state => state.value === 'second' && service.stop())
+    service.send(['NEXT', 'NEXT'])
+
+    expect(service.currentState().value).toEqual('second')
+  })
+})
+
+describe('interpreter status', () => {
+  const lightMachine = createMachine({
+    id: 'light',
+    initial: 'green',
+    states: {
+      green: { on: { TIMER: 'yellow' } },
+      yellow: { on: { TIMER: 'red' } },
+      red: { on: { TIMER: 'green' } },
+    },
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('should report whether the service is running', () => {
+    const service = interpret(lightMachine)
+
+    expect(service.status).toEqual(InterpreterStatus.NotStarted)
+    service.start()
+    expect(service.status).toEqual(InterpreterStatus.Running)
+    service.stop()
+    expect(service.status).toEqual(InterpreterStatus.Stopped)
+  })
+
+  it('should ignore events sent before the service starts by default', () => {
+    const service = interpret(lightMachine)
+
+    service.send('TIMER')
+    service.start()
+
+    expect(service.currentState().value).toEqual('green')
+  })
+
+  it('should replay deferred events in order once the service starts', () => {
+    const onTransition = jest.fn()
+    const service = interpret(lightMachine, { deferEvents: true })
+
+    service.onTransition(onTransition)
+    service.send('TIMER')
+    service.send(['TIMER', 'TIMER'])
+
+    expect(onTransition).not.toHaveBeenCalled()
+
+    service.start()
+
+    expect(
+      onTransition.mock.calls.map(([state, event]) => [state.value, event.type])
+    ).toEqual([
+      ['green', 'xstate.init'],
+      ['yellow', 'TIMER'],
+      ['red', 'TIMER'],
+      ['green', 'TIMER'],
+    ])
+  })
+
+  it('should warn about events that are ignored', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    const service = interpret(lightMachine, { warn: true })
+
+    service.send('TIMER')
+    service.start().stop()
+    service.send({ type: 'TIMER' })
+
+    expect(warn.mock.calls).toEqual([
+      [expect.stringMatching(/'TIMER' because it has not started yet$/)],
+      [expect.stringMatching(/'TIMER' because it has stopped$/)],
+    ])
+    expect(service.currentState().value).toEqual('green')
+  })
+
+  it('should not warn about events that are deferred', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    const service = interpret(lightMachine, { deferEvents: true, warn: true })
+
+    service.send('TIMER')
+    service.start()
+
+    expect(warn).not.toHaveBeenCalled()
+    expect(service.currentState().value).toEqual('yellow')
+  })
+})
+
+describe('starting from a persisted state', () => {
+  const createWizardMachine = ({ entry = [], activities = [] } = {}) =>
+    createMachine({
+      id: 'wizard',
+      initial: 'account',
+      context: { answers: [] },
+      states: {
+        account: {
+          entry,
+          on: {
+            NEXT: {
+              target: 'details',
+              actions: assign({
+                answers: (context, event) =>
+                  context.answers.concat(event.answer),
+              }),
+            },
+          },
+        },
+        details: {
+          initial: 'address',
+          activities,
+          states: {
+            address: { entry, on: { NEXT: 'payment' } },
+            payment: { entry, on: { NEXT: 'review' } },
+            review: {},
+            hist: { type: 'history' },
+          },
+          on: { HELP: 'help' },
+        },
+        help: {
+          on: { BACK: 'details.hist' },
+        },
+      },
+    })
+
+  it('should resume from the saved value and context', () => {
+    const machine = createWizardMachine()
+    const saved = machine.transition(machine.initialState, {
+      type: 'NEXT',
+      answer: 'ada',
+    })
+    const service = interpret(machine).start(JSON.parse(JSON.stringify(saved)))
+
+    expect(service.currentState().value).toEqual({ details: 'address' })
+    expect(service.currentState().context).toEqual({ answers: ['ada'] })
+
+    service.send('NEXT')
+    expect(service.currentState().value).toEqual({ details: 'payment' })
+  })
+
+  it('should not take entry actions of the saved state again', () => {
+    const entry = jest.fn()
+    const service = interpret(createWizardMachine({ entry })).start({
+      value: { details: 'address' },
+      context: { answers: [] },
+    })
+
+    expect(entry).not.toHaveBeenCalled()
+
+    service.send('NEXT')
+    expect(entry).toHaveBeenCalledTimes(1)
+  })
+
+  it('should start the activities of the saved state again', () => {
+    const dispose = jest.fn()
+    const polling = Object.defineProperty(
+      jest.fn(() => dispose),
+      'name',
+      {
+        value: 'polling',
+      }
+    )
+    const service = interpret(
+      createWizardMachine({ activities: [polling] })
+    ).start({ value: { details: 'review' }, context: { answers: [] } })
+
+    expect(polling).toHaveBeenCalledTimes(1)
+    expect(service.currentState().activities).toEqual({ polling: true })
+
+    service.send('HELP')
+    expect(dispose).toHaveBeenCalledTimes(1)
+  })
+
+  it('should schedule the delayed transitions of the saved state again', () => {
+    const clock = createSimulatedClock()
+    const machine = createMachine({
+      id: 'stoplight',
+      initial: 'green',
+      states: {
+        green: { after: { 8000: 'yellow' } },
+        yellow: { after: { 4000: 'red' } },
+        red: { after: { 12000: 'green' } },
+      },
+    })
+    const service = interpret(machine, { clock }).start('yellow')
+
+    clock.increment(3999)
+    expect(service.currentState().value).toEqual('yellow')
+
+    clock.increment(1)
+    expect(service.currentState().value).toEqual('red')
+
+    service.stop()
+  })
+
+  it('should restore the saved history', () => {
+    const service = interpret(createWizardMachine()).start({
+      value: 'help',
+      context: { answers: [] },
+      history: { 'wizard.details.hist': 'review' },
+    })
+
+    service.send('BACK')
+    expect(service.currentState().value).toEqual({ details: 'review' })
+  })
+
+  it('should throw if the saved value does not exist in the machine', () => {
+    const machine = createWizardMachine()
+
+    expect(() => interpret(machine).start({ value: 'checkout' })).toThrow(
+      /does not have a state named 'checkout'/
+    )
+    expect(() =>
+      interpret(machine).start({ value: { details: 'shipping' } })
+    ).toThrow(/does not have a state named 'details.shipping'/)
+    expect(() =>
+      interpret(machine).start({ value: { account: 'address' } })
+    ).toThrow(/does not have a state named 'account.address'/)
+  })
+
+  it('should throw if the saved value has more than one key for a compound state', () => {
+    expect(() =>
+      interpret(createWizardMachine()).start({
+        value: { details: 'address', help: 'x' },
+      })
+    ).toThrow(/cannot be in states 'details', 'help' at once/)
+  })
+
+  it('should throw if the saved value has keys that are not regions', () => {
+    const machine = createMachine({
+      id: 'p',
+      type: 'parallel',
+      states: {
+        r1: { initial: 'q', states: { q: {} } },
+        r2: { initial: 'q', states: { q: {} } },
+      },
+    })
+
+    expect(() =>
+      interpret(machine).start({ value: { r1: 'q', nope: 'z' } })
+    ).toThrow(/does not have a state named 'nope'/)
+
+    const service = interpret(machine).start({ value: { r1: 'q' } })
+
+    expect(service.currentState().value).toEqual({ r1: 'q', r2: 'q' })
+    service.stop()
+  })
+})
+
+describe('serializing states', () => {
+  const createPlayerMachine = ({ playing, track }) =>
+    createMachine(
+      {
+        id: 'player',
+        initial: 'stopped',
+        context: { track: 0 },
+        states: {
+          stopped: {
+            on: { PLAY: 'playing' },
+          },
+          playing: {
+            type: 'parallel',
+            activities: 'playing',
+            states: {
+              volume: {
+                initial: 'normal',
+                states: {
+                  normal: { on: { MUTE: 'muted' } },
+                  muted: { on: { MUTE: 'normal' } },
+                },
+              },
+              track: {
+                initial: 'current',
+                states: {
+                  current: {
+                    on: {
+                      SKIP: { target: 'current', actions: ['track', 'skip'] },
+                    },
+                  },
+                },
+              },
+              hist: { type: 'history', history: 'deep' },
+            },
+            on: { STOP: 'stopped' },
+          },
+        },
+      },
+      {
+        actions: {
+          skip: assign({ track: context => context.track + 1 }),
+          track,
+        },
+        activities: { playing },
+      }
+    )
+
+  it('should serialize a state without any functions', () => {
+    const machine = createPlayerMachine({ playing: () => {}, track: () => {} })
+    const state = ['PLAY', 'MUTE', 'SKIP'].reduce(
+      machine.transition,
+      machine.initialState
+    )
+    const json = machine.serializeState(state)
+
+    expect(state.actions).toContainEqual(
+      expect.objectContaining({ exec: expect.any(Function) })
+    )
+    expect(JSON.parse(json)).toEqual({
+      actions: [{ type: 'track' }],
+      context: { track: 1 },
+      value: { playing: { volume: 'muted', track: 'current' } },
+    })
+  })
+
+  it('should resolve a serialized state to the state it was', () => {
+    const machine = createPlayerMachine({ playing: () => {}, track: () => {} })
+    const state = ['PLAY', 'MUTE', 'STOP', 'SKIP'].reduce(
+      machine.transition,
+      machine.initialState
+    )
+    const resolvedState = machine.resolveState(machine.serializeState(state))
+
+    expect(resolvedState).toEqual({ ...state, changed: false })
+    expect(machine.transition(resolvedState, 'PLAY').value).toEqual(
+      machine.transition(state, 'PLAY').value
+    )
+  })
+
+  it('should give the saved actions their implementations again', () => {
+    const machine = createPlayerMachine({ playing: () => {}, track: () => {} })
+    const playingState = machine.transition(machine.initialState, 'PLAY')
+    const skippedState = machine.transition(playingState, 'SKIP')
+
+    expect(
+      machine.resolveState(machine.serializeState(playingState)).actions
+    ).toEqual(playingState.actions)
+    expect(
+      machine.resolveState(machine.serializeState(skippedState)).actions
+    ).toEqual(skippedState.actions)
+  })
+
+  it('should give actions written in the config their functions again', () => {
+    const logEntry = () => {}
+    const createLightBulb = lit =>
+      createMachine({
+        id: 'light-bulb',
+        initial: 'unlit',
+        states: { unlit: { on: { TOGGLE: 'lit' } }, lit },
+      })
+    const machine = createLightBulb({
+      entry: [logEntry, send('NOTIFY', { delay: 100 })],
+    })
+    const litState = machine.transition('unlit', 'TOGGLE')
+    const json = machine.serializeState(litState)
+
+    expect(machine.resolveState(json).actions).toEqual(litState.actions)
+    expect(machine.resolveState(JSON.parse(json)).actions).toEqual(
+      litState.actions
+    )
+    expect(() => createLightBulb({}).resolveState(json)).toThrow(
+      /Machine 'light-bulb' does not have an action named 'logEntry'/
+    )
+  })
+
+  it('should restore activity implementations from the machine options', () => {
+    const stopPlaying = jest.fn()
+    const playing = jest.fn(() => stopPlaying)
+    const machine = createPlayerMachine({ playing, track: () => {} })
+    const playingState = machine.transition(machine.initialState, 'PLAY')
+    const service = interpret(machine).start(
+      machine.resolveState(machine.serializeState(playingState))
+    )
+
+    expect(playing).toHaveBeenCalledTimes(1)
+    expect(service.currentState().activities).toEqual({ playing: true })
+
+    service.send('STOP')
+    expect(stopPlaying).toHaveBeenCalledTimes(1)
+  })
+
+  it('should resume with named actions of the machine', () => {
+    const track = jest.fn()
+    const machine = createPlayerMachine({ playing: () => {}, track })
+    const json = machine.serializeState(
+      ['PLAY', 'SKIP'].reduce(machine.transition, machine.initialState)
+    )
+    const service = interpret(machine).start(machine.resolveState(json))
+
+    expect(track).not.toHaveBeenCalled()
+
+    service.send('SKIP')
+    expect(track).toHaveBeenCalledTimes(1)
+    expect(track).toHaveBeenCalledWith({ track: 2 }, { type: 'SKIP' })
+    expect(service.currentState().context).toEqual({ track: 2 })
+  })
+})
+
+describe('persistence', () => {
+  const flushPromises = () => new Promise(resolve => setImmediate(resolve))
+  const formMachine = createMachine({
+    id: 'form',
+    initial: 'editing',
+    context: { name: '' },
+    states: {
+      editing: {
+        on: {
+          TYPE: {
+            actions: assign({ name: (context, event) => event.name }),
+          },
+          IGNORED: {},
+          SUBMIT: 'submitted',
+        },
+      },
+      submitted: {},
+    },
+  })
+  const createSpyAdapter = () => {
+    const adapter = createMemoryAdapter()
+
+    return { get: jest.fn(adapter.get), set: jest.fn(adapter.set) }
+  }
+
+  it('should save a snapshot after every changed transition', () => {
+    const adapter = createSpyAdapter()
+    const service = interpret(formMachine, {
+      persistence: { adapter },
+    }).start()
+
+    ;['TYPE', 'IGNORED', 'SUBMIT'].forEach(type =>
+      service.send({ type, name: 'Ada' })
+    )
+
+    expect(adapter.get).toHaveBeenCalledWith('form')
+    expect(adapter.set.mock.calls).toEqual([
+      [
+        'form',
+        {
+          state: { actions: [], context: { name: 'Ada' }, value: 'editing' },
+          version: 1,
+        },
+      ],
+      [
+        'form',
+        {
+          state: { actions: [], context: { name: 'Ada' }, value: 'submitted' },
+          version: 1,
+        },
+      ],
+    ])
+  })
+
+  it('should restore the last snapshot on start', () => {
+    const adapter = createMemoryAdapter()
+    const options = { persistence: { adapter, key: 'signup' } }
+
+    interpret(formMachine, options)
+      .start()
+      .send({ type: 'TYPE', name: 'Ada' })
+
+    const service = interpret(formMachine, options).start()
+    expect(service.currentState().value).toEqual('editing')
+    expect(service.currentState().context).toEqual({ name: 'Ada' })
+  })
+
+  it('should start from the initial state without a snapshot', () => {
+    const service = interpret(formMachine, {
+      persistence: { adapter: createMemoryAdapter() },
+    }).start()
+
+    expect(service.currentState()).toBe(formMachine.initialState)
+  })
+
+  it('should wait for an asynchronous adapter before processing events', async () => {
+    const memoryAdapter = createMemoryAdapter()
+    const adapter = {
+      get: key => Promise.resolve(memoryAdapter.get(key)),
+      set: (key, snapshot) => Promise.resolve(memoryAdapter.set(key, snapshot)),
+    }
+    memoryAdapter.set('form', {
+      state: { actions: [], context: { name: 'Ada' }, value: 'editing' },
+      version: 1,
+    })
+    const onTransition = jest.fn()
+    const service = interpret(formMachine, { persistence: { adapter } })
+
+    service.onTransition(onTransition)
+    service.start()
+    service.send('SUBMIT')
+
+    expect(onTransition).not.toHaveBeenCalled()
+
+    await flushPromises()
+    expect(
+      onTransition.mock.calls.map(([state, event]) => [state.value, event.type])
+    ).toEqual([
+      ['editing', 'xstate.init'],
+      ['submitted', 'SUBMIT'],
+    ])
+    expect(service.currentState().context).toEqual({ name: 'Ada' })
+  })
+
+  it('should debounce saving snapshots', () => {
+    const clock = createSimulatedClock()
+    const adapter = createSpyAdapter()
+    const service = interpret(formMachine, {
+      clock,
+      persistence: { adapter, debounce: 500 },
+    }).start()
+
+    service.send({ type: 'TYPE', name: 'A' })
+    clock.increment(400)
+    service.send({ type: 'TYPE', name: 'Ad' })
+    clock.increment(400)
+    expect(adapter.set).not.toHaveBeenCalled()
+
+    clock.increment(100)
+    expect(adapter.set).toHaveBeenCalledTimes(1)
+    expect(adapter.get('form').state.context).toEqual({ name: 'Ad' })
+
+    service.send({ type: 'TYPE', name: 'Ada' })
+    service.stop()
+    expect(adapter.set).toHaveBeenCalledTimes(2)
+    expect(adapter.get('form').state.context).toEqual({ name: 'Ada' })
+  })
+
+  it('should discard snapshots of another version', () => {
+    const adapter = createMemoryAdapter()
+    adapter.set('form', { state: { value: 'submitted' }, version: 1 })
+
+    const service = interpret(formMachine, {
+      persistence: { adapter, version: 2 },
+    }).start()
+
+    expect(service.currentState().value).toEqual('editing')
+  })
+
+  it('should migrate snapshots of another version', () => {
+    const adapter = createMemoryAdapter()
+    const migrate = jest.fn(state => ({
+      ...state,
+      context: { name: state.context.firstName },
+    }))
+    adapter.set('form', {
+      state: { context: { firstName: 'Ada' }, value: 'submitted' },
+      version: 1,
+    })
+
+    const service = interpret(formMachine, {
+      persistence: { adapter, migrate, version: 2 },
+    }).start()
+
+    expect(migrate).toHaveBeenCalledWith(
+      { context: { firstName: 'Ada' }, value: 'submitted' },
+      1
+    )
+    expect(service.currentState().value).toEqual('submitted')
+    expect(service.currentState().context).toEqual({ name: 'Ada' })
+  })
+
+  it('should start from the initial state when the snapshot cannot be read', async () => {
+    const error = new Error('Disk on fire')
+    const onError = jest.fn()
+    const adapter = { get: () => Promise.reject(error), set: jest.fn() }
+    const service = interpret(formMachine, {
+      persistence: { adapter, onError },
+    }).start()
+
+    service.send({ type: 'TYPE', name: 'Ada' })
+    await flushPromises()
+
+    expect(onError).toHaveBeenCalledWith(error)
+    expect(service.status).toEqual(InterpreterStatus.Running)
+    expect(service.currentState().value).toEqual('editing')
+    expect(service.currentState().context).toEqual({ name: 'Ada' })
+  })
+
+  it('should start from the initial state when the snapshot has states the machine no longer has', () => {
+    const onError = jest.fn()
+    const adapter = createMemoryAdapter()
+    adapter.set('form', {
+      state: { actions: [], context: { name: 'Ada' }, value: 'reviewing' },
+      version: 1,
+    })
+
+    const service = interpret(formMachine, {
+      persistence: { adapter, onError },
+    }).start()
+
+    expect(onError).toHaveBeenCalledWith(expect.any(Error))
+    expect(service.currentState()).toBe(formMachine.initialState)
+  })
+
+  it('should save to an asynchronous adapter one snapshot at a time', async () => {
+    const memoryAdapter = createMemoryAdapter()
+    const set = jest.fn(
+      (key, snapshot) =>
+        new Promise(resolve =>
+          // The first snapshot takes longer to save than the ones after it
+          setTimeout(
+            () => {
+              memoryAdapter.set(key, snapshot)
+              resolve()
+            },
+            set.mock.calls.length === 1 ? 20 : 0
+          )
+        )
+    )
+    const service = interpret(formMachine, {
+      persistence: { adapter: { get: () => undefined, set } },
+    }).start()
+
+    ;['A', 'Ad', 'Ada'].forEach(name => service.send({ type: 'TYPE', name }))
+    await new Promise(resolve => setTimeout(resolve, 50))
+
+    expect(
+      set.mock.calls.map(([, snapshot]) => snapshot.state.context)
+    ).toEqual([{ name: 'A' }, { name: 'Ada' }])
+    expect(memoryAdapter.get('form').state.context).toEqual({ name: 'Ada' })
+  })
+
+  it('should report snapshots that cannot be saved', async () => {
+    const clock = createSimulatedClock()
+    const error = new Error('Disk full')
+    const onError = jest.fn()
+    const adapters = [
+      {
+        get: () => undefined,
+        set: () => {
+          throw error
+        },
+      },
+      { get: () => undefined, set: () => Promise.reject(error) },
+    ]
+
+    adapters.forEach(adapter => {
+      interpret(formMachine, { persistence: { adapter, onError } })
+        .start()
+        .send('SUBMIT')
+      interpret(formMachine, {
+        clock,
+        persistence: { adapter, debounce: 500, onError },
+      })
+        .start()
+        .send('SUBMIT')
+    })
+    clock.increment(500)
+    await flushPromises()
+
+    expect(onError.mock.calls).toEqual([[error], [error], [error], [error]])
+  })
+})
@@ -0,0 +1,140 @@
+// Reads a machine config without interpreting it, for the tools that draw,
+// check or walk machines. It works on a config as well as on anything with a
+// `config`, which both `createMachine` and XState's `Machine` return. The
+// state nodes themselves are built the same way `createMachine` builds them
+const {
+  createStateNodes,
+  getTargetNode,
+  toArray,
+  toTransitionObject,
+} = require('./solution')
+
+const toConfig = machine => machine.config || machine
+
+const ASSIGN_ACTION_TYPES = ['__assign__', 'xstate.assign']
+
+// Actions and guards are shown by name: strings are names already, functions
+// go by their own name and action objects by their type
+const getActionName = action => {
+  switch (true) {
+    case typeof action === 'string':
+      return action
+
+    case typeof action === 'function':
+      return action.name || 'anonymous'
+
+    case ASSIGN_ACTION_TYPES.includes(action.type):
+      return 'assign'
+
+    default:
+      return action.type
+  }
+}
+
+const getGuardName = cond => {
+  if (cond === undefined) {
+    return undefined
+  }
+
+  return typeof cond === 'string' ? cond : cond.name || cond.type || 'anonymous'
+}
+
+const getDelayLabel = delay =>
+  isNaN(delay) ? `after ${delay}` : `after ${Number(delay)}ms`
+
+// Transitions are labelled by the event they are taken on, apart from delayed
+// ones, which are labelled by their delay rather than the generated event
+const getEventLabels = stateNode =>
+  stateNode.delayedSends.reduce(
+    (labels, { delay, event }) => ({
+      ...labels,
+      [event.type]: getDelayLabel(delay),
+    }),
+    {}
+  )
+
+// Events that can be sent to a machine from outside. Delays fire on their own,
+// and `done.state` events are raised by the machine itself
+const isExternalEvent = event =>
+  event !== '' && !/^after /.test(event) && !/^done\.state\./.test(event)
+
+// Whether a node is active in a state value, going down the value along the
+// node's path
+const isActive = (node, value, path = node.path) => {
+  if (!path.length) {
+    return true
+  }
+
+  if (typeof value === 'string') {
+    return path.length === 1 && path[0] === value
+  }
+
+  return path[0] in value && isActive(node, value[path[0]], path.slice(1))
+}
+
+// Builds a flat list of state nodes in document order, with every transition
+// of every node resolved to the nodes it targets. A target that cannot be
+// resolved is kept as `null`, so it can be reported rather than thrown
+const getStateNodes = machine => {
+  const stateNodes = createStateNodes(toConfig(machine))
+  const nodes = []
+  const nodesByStateNode = new Map()
+
+  const createNode = (stateNode, parent) => {
+    const node = {
+      children: [],
+      config: stateNode.config,
+      id: stateNode.id,
+      initial: stateNode.initial,
+      key: stateNode.key,
+      parent,
+      path: stateNode.path,
+      type: stateNode.type,
+    }
+
+    nodes.push(node)
+    nodesByStateNode.set(stateNode, node)
+    node.children = Object.keys(stateNode.states).map(childKey =>
+      createNode(stateNode.states[childKey], node)
+    )
+
+    return node
+  }
+
+  createNode(stateNodes.root)
+
+  nodesByStateNode.forEach((node, stateNode) => {
+    const eventLabels = getEventLabels(stateNode)
+
+    node.transitions = [].concat(
+      ...Object.keys(stateNode.on).map(event =>
+        toArray(stateNode.on[event])
+          .map(toTransitionObject)
+          .map(transition => ({
+            actions: toArray(transition.actions).map(getActionName),
+            cond: getGuardName(transition.cond),
+            event: event in eventLabels ? eventLabels[event] : event,
+            source: node,
+            targets: toArray(transition.target).map(target => ({
+              node:
+                nodesByStateNode.get(
+                  getTargetNode(stateNodes, stateNode, target)
+                ) || null,
+              target,
+            })),
+          }))
+      )
+    )
+  })
+
+  return nodes
+}
+
+module.exports = {
+  getActionName,
+  getGuardName,
+  getStateNodes,
+  isActive,
+  isExternalEvent,
+  toConfig,
+}
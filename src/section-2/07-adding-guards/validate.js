@@ -0,0 +1,328 @@
+const path = require('path')
+const { toArray } = require('./solution')
+const { getStateNodes, toConfig } = require('./statechart')
+
+const createMessage = (severity, ruleId, nodeId, message) => ({
+  message,
+  nodeId,
+  ruleId,
+  severity,
+})
+
+const getInitialChild = node =>
+  node.children.find(child => child.key === node.initial)
+
+const unknownTargets = nodes =>
+  [].concat(
+    ...nodes.map(node =>
+      [].concat(
+        ...node.transitions.map(({ event, targets }) =>
+          targets
+            .filter(({ node }) => !node)
+            .map(({ target }) =>
+              createMessage(
+                'error',
+                'unknown-target',
+                node.id,
+                `Transition on '${event}' targets '${target}', which does not exist`
+              )
+            )
+        )
+      )
+    )
+  )
+
+const missingInitial = nodes =>
+  nodes
+    .filter(node => node.type === 'compound')
+    .filter(node => !node.initial || !getInitialChild(node))
+    .map(node =>
+      createMessage(
+        'error',
+        'missing-initial',
+        node.id,
+        node.initial
+          ? `Initial state '${node.initial}' is not one of its child states`
+          : 'Compound state has no initial state'
+      )
+    )
+
+const duplicateIds = nodes =>
+  nodes
+    .filter((node, index) =>
+      nodes.slice(0, index).some(other => other.id === node.id)
+    )
+    .map(node =>
+      createMessage(
+        'error',
+        'duplicate-id',
+        node.id,
+        `State '${node.path.join('.')}' has the same id as another state`
+      )
+    )
+
+const isDescendant = (node, ancestor) =>
+  Boolean(node) && (node === ancestor || isDescendant(node.parent, ancestor))
+
+// A history state without history yet enters its default target, or the
+// initial state of its parent
+const getHistoryDefault = node => {
+  if (!node.config.target) {
+    return getInitialChild(node.parent)
+  }
+
+  return node.config.target
+    .split('.')
+    .reduce(
+      (current, key) =>
+        current && current.children.find(child => child.key === key),
+      node.parent
+    )
+}
+
+// A state is reachable if it is entered when the machine starts, or by a
+// transition of a reachable state. Entering a state enters its ancestors,
+// the other regions of parallel ancestors and its own initial states too
+const getReachableNodes = root => {
+  const reachable = new Set()
+
+  const visit = node => {
+    if (reachable.has(node)) {
+      return
+    }
+
+    reachable.add(node)
+    node.transitions.forEach(({ targets }) =>
+      targets.forEach(target => target.node && enterTarget(target.node))
+    )
+  }
+
+  const enterDefault = node => {
+    if (!node) {
+      return
+    }
+
+    visit(node)
+
+    if (node.type === 'parallel') {
+      node.children.forEach(enterDefault)
+    } else if (node.type === 'history') {
+      enterDefault(getHistoryDefault(node))
+    } else if (node.initial) {
+      enterDefault(getInitialChild(node))
+    }
+  }
+
+  const enterTarget = node => {
+    for (let ancestor = node.parent; ancestor; ancestor = ancestor.parent) {
+      visit(ancestor)
+
+      if (ancestor.type === 'parallel') {
+        ancestor.children
+          .filter(region => !isDescendant(node, region))
+          .forEach(enterDefault)
+      }
+    }
+
+    enterDefault(node)
+  }
+
+  enterDefault(root)
+  return reachable
+}
+
+const unreachableStates = nodes => {
+  const reachable = getReachableNodes(nodes[0])
+
+  return nodes
+    .filter(node => node.type !== 'history' && !reachable.has(node))
+    .map(node =>
+      createMessage(
+        'warning',
+        'unreachable-state',
+        node.id,
+        'State can never be entered'
+      )
+    )
+}
+
+// An atomic state that is not final needs a transition out of it, on itself
+// or on one of its ancestors
+const deadEndStates = nodes =>
+  nodes
+    .filter(node => node.parent && node.type === 'atomic')
+    .filter(node => {
+      for (let current = node; current; current = current.parent) {
+        if (current.transitions.some(({ targets }) => targets.length > 0)) {
+          return false
+        }
+      }
+
+      return true
+    })
+    .map(node =>
+      createMessage(
+        'warning',
+        'dead-end-state',
+        node.id,
+        'State is not final, but has no transitions out of it'
+      )
+    )
+
+// Named actions and guards are the strings that point into `options`
+const getReferences = nodes => {
+  const actions = new Set()
+  const guards = new Set()
+
+  nodes.forEach(node => {
+    toArray(node.config.entry)
+      .concat(toArray(node.config.exit))
+      .forEach(action => actions.add(action))
+    node.transitions.forEach(transition => {
+      transition.actions.forEach(action => actions.add(action))
+      guards.add(transition.cond)
+    })
+  })
+
+  return { actions, guards }
+}
+
+const unusedOptions = (nodes, options) => {
+  const references = getReferences(nodes)
+  const toUnused = (type, ruleId, label) =>
+    Object.keys(options[type] || {})
+      .filter(name => !references[type].has(name))
+      .map(name =>
+        createMessage(
+          'warning',
+          ruleId,
+          nodes[0].id,
+          `${label} '${name}' is never used`
+        )
+      )
+
+  return toUnused('actions', 'unused-action', 'Action').concat(
+    toUnused('guards', 'unused-guard', 'Guard')
+  )
+}
+
+const summarize = messages => {
+  const errorCount = messages.filter(({ severity }) => severity === 'error')
+    .length
+
+  return {
+    errorCount,
+    messages,
+    warningCount: messages.length - errorCount,
+  }
+}
+
+// Checks a machine, or its config, without running it. Errors are mistakes
+// that break the machine, warnings are parts of it that cannot do anything
+const validateMachine = (machine, options = machine.options || {}) => {
+  const nodes = getStateNodes(toConfig(machine))
+  const messages = [].concat(
+    unknownTargets(nodes),
+    missingInitial(nodes),
+    duplicateIds(nodes),
+    unreachableStates(nodes),
+    deadEndStates(nodes),
+    unusedOptions(nodes, options)
+  )
+  const result = summarize(messages)
+
+  return { ...result, valid: result.errorCount === 0 }
+}
+
+const isMachine = value =>
+  Boolean(value) && typeof value === 'object' && Boolean(value.config)
+
+const pluralize = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`
+
+// Formats results the way ESLint's stylish formatter does, one block per file
+const formatResults = results => {
+  const problems = results.filter(result => result.messages.length > 0)
+  const errorCount = results.reduce((sum, result) => sum + result.errorCount, 0)
+  const warningCount = results.reduce(
+    (sum, result) => sum + result.warningCount,
+    0
+  )
+
+  if (!problems.length) {
+    return ''
+  }
+
+  const blocks = problems.map(({ filePath, messages }) => {
+    const width = Math.max(...messages.map(({ nodeId }) => nodeId.length))
+
+    return [filePath]
+      .concat(
+        messages.map(
+          ({ message, nodeId, ruleId, severity }) =>
+            `  ${nodeId.padEnd(width)}  ${severity.padEnd(
+              7
+            )}  ${message}  ${ruleId}`
+        )
+      )
+      .join('\n')
+  })
+
+  return `${blocks.join('\n\n')}\n\n✖ ${pluralize(
+    errorCount + warningCount,
+    'problem'
+  )} (${pluralize(errorCount, 'error')}, ${pluralize(
+    warningCount,
+    'warning'
+  )})\n`
+}
+
+// Validates every machine exported by the given files. Machines in different
+// files with the same id are reported too, since their state ids collide
+const validateFiles = (filePaths, cwd = process.cwd()) => {
+  const machineIds = new Map()
+
+  return filePaths.map(filePath => {
+    const exported = require(path.resolve(cwd, filePath))
+    const machines = (isMachine(exported)
+      ? [exported]
+      : Object.values(exported)
+    ).filter(isMachine)
+    const messages = [].concat(
+      ...machines.map(machine => {
+        const { id = '(machine)' } = toConfig(machine)
+        const duplicateOf = machineIds.get(id)
+        const { messages } = validateMachine(machine)
+
+        if (duplicateOf) {
+          messages.push(
+            createMessage(
+              'error',
+              'duplicate-id',
+              id,
+              `Machine has the same id as a machine in '${duplicateOf}'`
+            )
+          )
+        } else {
+          machineIds.set(id, filePath)
+        }
+
+        return messages
+      })
+    )
+
+    return { filePath, ...summarize(messages) }
+  })
+}
+
+if (require.main === module) {
+  const results = validateFiles(process.argv.slice(2))
+
+  process.stdout.write(formatResults(results))
+  process.exitCode = results.some(result => result.errorCount > 0) ? 1 : 0
+}
+
+module.exports = {
+  formatResults,
+  validateFiles,
+  validateMachine,
+}
@@ -0,0 +1,331 @@
+const path = require('path')
+const { createMachine } = require('./solution')
+const { formatResults, validateFiles, validateMachine } = require('./validate')
+const smartDoor = require('../../challenges/smart-door/solution')
+
+const getRules = result => result.messages.map(({ ruleId }) => ruleId)
+
+describe('validateMachine', () => {
+  it('should find no problems in a valid machine', () => {
+    expect(validateMachine(smartDoor.doorMachine)).toEqual({
+      errorCount: 0,
+      messages: [],
+      valid: true,
+      warningCount: 0,
+    })
+  })
+
+  it('should report transitions to states that do not exist', () => {
+    const result = validateMachine({
+      id: 'door',
+      initial: 'closed',
+      states: {
+        closed: { on: { OPEN: 'opend', LOCK: '#door.locked' } },
+        opened: { on: { CLOSE: '.closed' } },
+      },
+    })
+
+    expect(result.valid).toBe(false)
+    expect(result.messages.filter(m => m.ruleId === 'unknown-target')).toEqual([
+      {
+        message: expect.stringMatching(
+          /^Transition on 'OPEN' targets 'opend', which does not exist$/
+        ),
+        nodeId: 'door.closed',
+        ruleId: 'unknown-target',
+        severity: 'error',
+      },
+      {
+        message: expect.stringMatching(
+          /^Transition on 'LOCK' targets '#door\.locked', which does not exist$/
+        ),
+        nodeId: 'door.closed',
+        ruleId: 'unknown-target',
+        severity: 'error',
+      },
+      {
+        message: expect.stringMatching(
+          /^Transition on 'CLOSE' targets '\.closed', which does not exist$/
+        ),
+        nodeId: 'door.opened',
+        ruleId: 'unknown-target',
+        severity: 'error',
+      },
+    ])
+  })
+
+  it('should resolve targets to the states that machines transition to', () => {
+    const config = {
+      id: 'editor',
+      initial: 'idle',
+      states: {
+        idle: { id: 'page.toolbar', on: { EDIT: '#page.toolbar.bold' } },
+        page: {
+          id: 'page',
+          initial: 'toolbar',
+          states: { toolbar: { initial: 'bold', states: { bold: {} } } },
+        },
+      },
+    }
+
+    expect(
+      validateMachine(config).messages.filter(
+        m => m.ruleId === 'unknown-target'
+      )
+    ).toEqual([])
+    expect(createMachine(config).transition('idle', 'EDIT').value).toEqual({
+      page: { toolbar: 'bold' },
+    })
+  })
+
+  it('should report compound states without a valid initial state', () => {
+    const result = validateMachine({
+      id: 'form',
+      initial: 'editing',
+      states: {
+        editing: {
+          states: { pristine: {}, dirty: {} },
+          on: { SUBMIT: 'submitted' },
+        },
+        submitted: {
+          initial: 'pending',
+          states: { sent: { type: 'final' } },
+        },
+      },
+    })
+
+    expect(result.messages.filter(m => m.ruleId === 'missing-initial')).toEqual(
+      [
+        expect.objectContaining({
+          message: 'Compound state has no initial state',
+          nodeId: 'form.editing',
+        }),
+        expect.objectContaining({
+          message: expect.stringMatching(
+            /^Initial state 'pending' is not one of its child states$/
+          ),
+          nodeId: 'form.submitted',
+        }),
+      ]
+    )
+  })
+
+  it('should report states with the same id', () => {
+    const result = validateMachine({
+      id: 'wizard',
+      initial: 'first',
+      states: {
+        first: { id: 'step', on: { NEXT: 'second' } },
+        second: { id: 'step', on: { BACK: 'first' } },
+      },
+    })
+
+    expect(getRules(result)).toEqual(['duplicate-id'])
+    expect(result.messages[0].message).toMatch(
+      /^State 'second' has the same id as another state$/
+    )
+  })
+
+  it('should warn about states that can never be entered', () => {
+    const result = validateMachine({
+      id: 'player',
+      initial: 'stopped',
+      states: {
+        stopped: { on: { PLAY: 'playing.fast' } },
+        playing: {
+          initial: 'normal',
+          states: {
+            normal: { on: { SPEED_UP: 'fast' } },
+            fast: { on: { SLOW_DOWN: 'normal' } },
+          },
+          on: { STOP: 'stopped' },
+        },
+        broken: { on: { FIX: 'stopped' } },
+      },
+    })
+
+    expect(result.valid).toBe(true)
+    expect(result.messages).toEqual([
+      {
+        message: 'State can never be entered',
+        nodeId: 'player.broken',
+        ruleId: 'unreachable-state',
+        severity: 'warning',
+      },
+    ])
+  })
+
+  it('should enter every region of a parallel state and history defaults', () => {
+    const result = validateMachine({
+      id: 'editor',
+      initial: 'closed',
+      states: {
+        closed: { on: { OPEN: 'open.hist', PREVIEW: 'open.text.italic' } },
+        open: {
+          type: 'parallel',
+          states: {
+            text: {
+              initial: 'plain',
+              states: {
+                plain: { on: { BOLD: 'bold' } },
+                bold: { on: { PLAIN: 'plain' } },
+                italic: { on: { PLAIN: 'plain' } },
+              },
+            },
+            sidebar: {
+              initial: 'hidden',
+              states: {
+                hidden: {},
+                shown: {},
+                hist: { type: 'history', target: 'shown' },
+              },
+            },
+            hist: { type: 'history', history: 'deep' },
+          },
+          on: { CLOSE: 'closed', SIDEBAR: 'open.sidebar.hist' },
+        },
+      },
+    })
+
+    expect(getRules(result)).toEqual([])
+  })
+
+  it('should warn about states that are not final but cannot be left', () => {
+    const result = validateMachine({
+      id: 'checkout',
+      initial: 'cart',
+      states: {
+        cart: { on: { PAY: 'paying' } },
+        paying: {
+          initial: 'pending',
+          states: {
+            pending: { on: { APPROVE: 'approved', DECLINE: 'declined' } },
+            approved: { type: 'final' },
+            declined: {},
+          },
+        },
+      },
+    })
+
+    expect(result.messages).toEqual([
+      {
+        message: 'State is not final, but has no transitions out of it',
+        nodeId: 'checkout.paying.declined',
+        ruleId: 'dead-end-state',
+        severity: 'warning',
+      },
+    ])
+  })
+
+  it('should warn about named actions and guards that are never used', () => {
+    const machine = createMachine(
+      {
+        id: 'counter',
+        initial: 'active',
+        states: {
+          active: {
+            entry: 'logStart',
+            on: {
+              INCREMENT: {
+                target: 'active',
+                cond: 'isBelowMax',
+                actions: 'increment',
+              },
+            },
+          },
+        },
+      },
+      {
+        actions: { increment: () => {}, logStart: () => {}, reset: () => {} },
+        guards: { isBelowMax: () => true, isAboveMin: () => true },
+      }
+    )
+
+    expect(validateMachine(machine).messages).toEqual([
+      {
+        message: expect.stringMatching(/^Action 'reset' is never used$/),
+        nodeId: 'counter',
+        ruleId: 'unused-action',
+        severity: 'warning',
+      },
+      {
+        message: expect.stringMatching(/^Guard 'isAboveMin' is never used$/),
+        nodeId: 'counter',
+        ruleId: 'unused-guard',
+        severity: 'warning',
+      },
+    ])
+  })
+})
+
+describe('validateFiles', () => {
+  const challenges = path.resolve(__dirname, '../../challenges')
+
+  it('should report machines with the same id in different files', () => {
+    const results = validateFiles(
+      ['rich-text-editor/solution.js', 'smart-door/solution.js'],
+      challenges
+    )
+
+    expect(results).toEqual([
+      {
+        errorCount: 0,
+        filePath: 'rich-text-editor/solution.js',
+        messages: [],
+        warningCount: 0,
+      },
+      {
+        errorCount: 1,
+        filePath: 'smart-door/solution.js',
+        messages: [
+          {
+            message: expect.stringMatching(
+              /^Machine has the same id as a machine in 'rich-text-editor\/solution\.js'$/
+            ),
+            nodeId: 'door',
+            ruleId: 'duplicate-id',
+            severity: 'error',
+          },
+        ],
+        warningCount: 0,
+      },
+    ])
+  })
+
+  it('should format results like ESLint does', () => {
+    const results = [
+      { errorCount: 0, filePath: 'ok.js', messages: [], warningCount: 0 },
+      {
+        errorCount: 1,
+        filePath: 'door.js',
+        messages: [
+          {
+            message: 'Transition targets a state that does not exist',
+            nodeId: 'door.closed',
+            ruleId: 'unknown-target',
+            severity: 'error',
+          },
+          {
+            message: 'State can never be entered',
+            nodeId: 'door.opened',
+            ruleId: 'unreachable-state',
+            severity: 'warning',
+          },
+        ],
+        warningCount: 1,
+      },
+    ]
+
+    expect(formatResults(results)).toEqual(
+      [
+        'door.js',
+        '  door.closed  error    Transition targets a state that does not exist  unknown-target',
+        '  door.opened  warning  State can never be entered  unreachable-state',
+        '',
+        '✖ 2 problems (1 error, 1 warning)',
+        '',
+      ].join('\n')
+    )
+    expect(formatResults(results.slice(0, 1))).toEqual('')
+  })
+})